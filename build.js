@@ -3,6 +3,7 @@
 import * as esbuild from 'esbuild';
 import * as fs from 'fs';
 import * as path from 'path';
+import * as crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import chokidar from 'chokidar';
 
@@ -11,6 +12,45 @@ const __dirname = path.dirname(__filename);
 
 const isWatch = process.argv.includes('--watch');
 
+const SOUND_SOURCE_DIR = 'assets/sounds';
+const SOUND_OUTPUT_DIR = 'assets/sounds'; // Relative to dist/, i.e. next to the bundle
+const SOUND_EXTENSIONS = ['.mp3', '.ogg', '.wav', '.m4a'];
+
+/**
+ * Copies sound assets into dist/ with content hashes in their names, so they can be
+ * cached forever and are served from wherever the bundle is hosted.
+ * @returns {Object} - Map of original file name to hashed path relative to the bundle
+ */
+function buildSoundAssets() {
+  const sourceDir = path.join(__dirname, SOUND_SOURCE_DIR);
+  const outputDir = path.join(__dirname, 'dist', SOUND_OUTPUT_DIR);
+  const manifest = {};
+
+  // Start clean so stale hashed copies don't pile up
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  for (const fileName of fs.readdirSync(sourceDir)) {
+    const extension = path.extname(fileName);
+    if (!SOUND_EXTENSIONS.includes(extension.toLowerCase())) continue;
+    // Names with spaces etc. (e.g. editor duplicates like "confirm copy.mp3") would need escaping in URLs
+    if (!/^[\w.-]+$/.test(fileName)) {
+      console.warn(`⚠️  Skipping sound asset with an unsafe file name: "${fileName}"`);
+      continue;
+    }
+
+    const content = fs.readFileSync(path.join(sourceDir, fileName));
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+    const hashedName = `${path.basename(fileName, extension)}.${hash}${extension}`;
+
+    fs.writeFileSync(path.join(outputDir, hashedName), content);
+    manifest[fileName] = `${SOUND_OUTPUT_DIR}/${hashedName}`;
+  }
+
+  console.log(`🔊 Copied ${Object.keys(manifest).length} sound assets to dist/${SOUND_OUTPUT_DIR}`);
+  return manifest;
+}
+
 /**
  * ESBuild configuration for bundling all modules into a single IIFE
  */
@@ -26,7 +66,9 @@ const buildConfig = {
   platform: 'browser',
   resolveExtensions: ['.js', '.ts'],
   define: {
-    'process.env.NODE_ENV': '"production"'
+    'process.env.NODE_ENV': '"production"',
+    // The IIFE has no import.meta; bundled code resolves assets from the bundle's <script> instead
+    'import.meta.url': 'undefined'
   },
   banner: {
     js: `/* Website 2025 - Bundled ${new Date().toISOString()} */`
@@ -84,6 +126,9 @@ function ensureDistDirectory() {
 async function build() {
   try {
     ensureDistDirectory();
+
+    // Hashed sound paths are baked into the bundle (see scripts/modules/soundAssets.js)
+    buildConfig.define.__SOUND_MANIFEST__ = JSON.stringify(buildSoundAssets());
     
     if (isWatch) {
       console.log('👀 Starting watch mode...');
@@ -7,6 +7,13 @@
  * Modules and their responsibilities:
  * - browserTheme.js: Manages light/dark mode theme based on user preferences and system settings
  * - sounds.js: Handles sound system initialization, sound effects, and user audio preferences
+ * - soundAssets.js: Resolves (hashed) sound file URLs and synthesizes stand-ins when a file fails to load
+ * - soundMixer.js: Volume buses (ambient, engine, ui, speech, typing) with gain/mute/solo and an optional panel
+ * - soundLibrary.js: Manifest-driven loader for named UI sound cues and sprites, with decode caching and progress
+ * - generativeAmbient.js: Procedural ambient soundscape that follows the active view and crossfades with the ambience file (off by default, see CONFIG in sounds.js)
+ * - robotVoice.js: Formant-synthesized robot voice with per-utterance presets and sentence pitch contours
+ * - robotTTS.js: Optional spoken mode for the robot using speechSynthesis, with fallback to the blip voice
+ * - audioAnalyser.js: Analyser tap on the master bus with smoothed band levels and onset detection for audio-reactive visuals
  * - intro.js: Controls the website intro/loading sequence animation
  * - resizeOverlay.js: Shows an overlay during browser resize to prevent layout jumps
  * - lightGrid.js: Manages light grid animations and responsive behaviors
@@ -16,10 +23,20 @@
  * - flicker.js: Creates realistic flickering effects for UI elements
  * - robotAnimation.js: Controls the robot character animations and dialog system
  * - widgetEffects.js: Manages interactive effects for various UI widgets
+ * - tripComputer.js: Speedometer and trip HUD (live/peak/average speed, distance, trip time) bound to data-trip readouts
+ * - screenCalibration.js: Bank-card screen calibration giving real pixels per cm for distance and speed readouts
+ * - visitorStats.js: Lifetime visitor stats (distance, clicks, visits, time on site) in localStorage, with unit promotion
+ * - pointerHeatmap.js: Opt-in overlay (Shift+H) drawing this session's pointer path and clicks as a heatmap or fading trail
  * - mousemonitors.js: Tracks mouse movement, speed and interaction metrics
  * - processorAnimations.js: Handles the multiple processor visualization animations
  * - diffusionText.js: Creates text animation that "diffuses" between multiple phrases with character transitions
  * - buttonToggle.js: Manages 3D button toggling with only one active at a time AND view switching 
+ * - widgetChoreography.js: Orders widget intro/outro animations per view (used by buttonToggle.js)
+ * - animationVisibility.js: Pauses animations whose element is hidden, off screen or in a background tab
+ * - ticker.js: Single shared requestAnimationFrame loop with per-callback frame rates, priorities and load throttling
+ * - eventEmitter.js: Shared on/off/emit event emitter (on() returns an unsubscribe) used by the trackers and stats modules
+ * - motionPolicy.js: Reduced-motion policy (system setting plus persisted on-page override) consulted by animated modules
+ * - viewRouter.js: Syncs the active view with the URL hash and browser history (used by buttonToggle.js)
  * - widgetAnimations.js: Handles widget animations for view transitions
  * - viewToggle.js: DEPRECATED: Functionality moved to buttonToggle.js
  */
@@ -38,6 +55,9 @@ export const webflowEnv = {
 // Import browser theme module - this module self-initializes on import
 import { applyBrowserColors, prefersDarkMode } from './modules/browserTheme.js';
 
+// Motion policy is consulted by every animated module, so it's set up before any of them start
+import { initMotionPolicy } from './modules/motionPolicy.js';
+
 // Correct import statement for loader.js - moved up for early parsing
 import { initLoadingText, stopAnimation } from './modules/loader.js';
 
@@ -45,9 +65,13 @@ import { initLoadingText, stopAnimation } from './modules/loader.js';
 import { init3DButtons } from './modules/buttonToggle.js';
 
 // Import all other modules after browser theme
-import { initSoundSystem, EVENTS, buttonSounds } from './modules/sounds.js';
+import { initSoundSystem, EVENTS, buttonSounds, hasSoundChoice } from './modules/sounds.js';
 import { initResizeOverlay } from './modules/resizeOverlay.js';
 import { initcursorTracker } from './modules/cursorTracker.js'; 
+import { initTripComputer } from './modules/tripComputer.js';
+import { initVisitorStats } from './modules/visitorStats.js';
+import { initScreenCalibration } from './modules/screenCalibration.js';
+import { initPointerHeatmap } from './modules/pointerHeatmap.js';
 import { initLightGrid } from './modules/lightGrid.js';
 import { initDateDisplay } from './modules/dateDisplay.js';
 import { initMarqueeContent } from './modules/marqueeContent.js';
@@ -61,6 +85,7 @@ import {
 } from './modules/processorAnimations.js';
 import { initDiffusionText } from './modules/diffusionText.js';
 import { initInterference } from './modules/interference.js';
+import { initPulsateController } from './modules/pulsateController.js';
 
 // Start preloading button sounds immediately for instant availability
 buttonSounds.preload().catch(err => console.warn('Early button sound preload failed:', err.toString()));
@@ -73,6 +98,9 @@ buttonSounds.preload().catch(err => console.warn('Early button sound preload fai
 
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        // Apply the reduced-motion policy before anything starts animating
+        initMotionPolicy();
+
         // Call LightGrid initialization first
         console.log('%c[main.js] Calling initLightGrid() EARLY in DOMContentLoaded', 'color: orange; font-weight: bold;');
         initLightGrid();
@@ -97,17 +125,26 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('Waiting for Lottie animations to initialize...');
         await new Promise(resolve => setTimeout(resolve, 100));
         
-        // Initialize sound system and wait for user confirmation
+        // Initialize sound system and wait for user confirmation,
+        // unless a choice from a previous visit was restored
         await initSoundSystem();
-        await new Promise(resolve => {
-            window.addEventListener(EVENTS.SOUND_CHOICE_MADE, resolve, { once: true });
-        });
+        if (hasSoundChoice()) {
+            console.log('Sound choice restored from a previous visit, skipping prompt');
+        } else {
+            await new Promise(resolve => {
+                window.addEventListener(EVENTS.SOUND_CHOICE_MADE, resolve, { once: true });
+            });
+        }
         console.log('Sound system initialized');
 
         // STEP 2: MODULE INITIALIZATION
         //--------------------------------------
         // Initialize tracking modules (cursor)
+        initScreenCalibration(); // Real-world distances for the trackers below
+        initVisitorStats(); // Lifetime totals, fed by the cursor tracker
         initcursorTracker(); // Keep cursor tracker for clicks and distance tracking
+        initPointerHeatmap(); // Records pointer samples for the Shift+H overlay
+        initTripComputer(); // Speed and trip readouts from the scroll tracker
         
         // Initialize all other modules after sound choice is confirmed
         initResizeOverlay(); 
@@ -124,6 +161,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         initProcessorAnimation4();
         initDiffusionText();
         initInterference();
+        initPulsateController(); // Pulse range follows the sound via --audio-* variables
 
         console.log('All modules initialized');
 
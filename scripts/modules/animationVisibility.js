@@ -0,0 +1,175 @@
+/**
+ * Animation Visibility Module
+ * --------------------
+ * Shared scheduler that pauses animations nobody can see, to save CPU and battery.
+ *
+ * An animation is paused when any of these is true:
+ * - Its host view is hidden (tracked through buttonToggle.js view lifecycle events)
+ * - Its element is outside the viewport (IntersectionObserver)
+ * - The tab is in the background (Page Visibility API)
+ *
+ * Usage:
+ *   const gate = createVisibilityGate(element, { onResume: start, onPause: stop });
+ *   const interval = setVisibleInterval(element, tick, 50); // Ticker callback that only runs while visible
+ */
+
+import { VIEW_EVENTS } from './buttonToggle.js';
+import { ticker, PRIORITY } from './ticker.js';
+
+const VIEW_SELECTOR = '.view--active, .view--hidden'; // Classes buttonToggle.js puts on every view
+const VIEWPORT_MARGIN = '50px'; // Resume slightly before an element scrolls into view
+
+// Visibility of views as reported by lifecycle events (viewId -> boolean)
+const viewStates = new Map();
+// Whether each observed element currently intersects the viewport
+const viewportStates = new WeakMap();
+// All live gates, re-evaluated whenever something changes
+const gates = new Set();
+
+let intersectionObserver = null;
+let isListening = false;
+
+/**
+ * Whether an element's host view is currently shown.
+ * Elements outside any view (e.g. the header) always count as shown.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isHostViewVisible(element) {
+  const view = element.closest(VIEW_SELECTOR);
+  if (!view) return true;
+  if (viewStates.has(view.id)) return viewStates.get(view.id);
+  return view.classList.contains('view--active');
+}
+
+/**
+ * Whether an element is inside the viewport. Unknown until the observer reports, in
+ * which case it's assumed visible so animations start without waiting a frame.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isInViewport(element) {
+  return viewportStates.has(element) ? viewportStates.get(element) : true;
+}
+
+function evaluateAllGates() {
+  gates.forEach(gate => gate.evaluate());
+}
+
+function handleViewShown(event) {
+  viewStates.set(event.detail.viewId, true);
+  evaluateAllGates();
+}
+
+function handleViewHidden(event) {
+  viewStates.set(event.detail.viewId, false);
+  evaluateAllGates();
+}
+
+/**
+ * Lazily sets up the shared listeners and IntersectionObserver.
+ */
+function ensureListening() {
+  if (isListening) return;
+  isListening = true;
+
+  document.addEventListener('visibilitychange', evaluateAllGates);
+  // Animations start as a view begins to enter and stop once it has fully left
+  document.addEventListener(VIEW_EVENTS.BEFORE_ENTER, handleViewShown);
+  document.addEventListener(VIEW_EVENTS.AFTER_LEAVE, handleViewHidden);
+
+  if ('IntersectionObserver' in window) {
+    intersectionObserver = new IntersectionObserver(entries => {
+      entries.forEach(entry => viewportStates.set(entry.target, entry.isIntersecting));
+      evaluateAllGates();
+    }, { rootMargin: VIEWPORT_MARGIN });
+  }
+}
+
+/**
+ * Creates a gate that calls onResume/onPause as the element(s) become visible or hidden.
+ * With several elements, the gate is open while any of them is visible.
+ * onResume is called straight away if the element is visible on creation.
+ * @param {Element|Element[]} elements - The element(s) the animation draws into
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.onResume] - Start or resume the animation
+ * @param {Function} [callbacks.onPause] - Stop the animation
+ * @returns {{isVisible: Function, whenVisible: Function, destroy: Function}}
+ */
+export function createVisibilityGate(elements, { onResume = () => {}, onPause = () => {} } = {}) {
+  ensureListening();
+
+  const targets = (Array.isArray(elements) ? elements : [elements]).filter(Boolean);
+  let isOpen = false;
+  let waiters = [];
+
+  const gate = {
+    evaluate() {
+      const visible = document.visibilityState !== 'hidden' &&
+        targets.some(element => isHostViewVisible(element) && isInViewport(element));
+
+      if (visible === isOpen) return;
+      isOpen = visible;
+
+      if (isOpen) {
+        onResume();
+        waiters.forEach(resolve => resolve());
+        waiters = [];
+      } else {
+        onPause();
+      }
+    },
+
+    /** @returns {boolean} Whether the gate is currently open */
+    isVisible() {
+      return isOpen;
+    },
+
+    /** @returns {Promise<void>} Resolves immediately if visible, otherwise once visible again */
+    whenVisible() {
+      return isOpen ? Promise.resolve() : new Promise(resolve => waiters.push(resolve));
+    },
+
+    /** Stops tracking the element(s). Does not call onPause. */
+    destroy() {
+      gates.delete(gate);
+      if (intersectionObserver) targets.forEach(element => intersectionObserver.unobserve(element));
+    }
+  };
+
+  gates.add(gate);
+  if (intersectionObserver) targets.forEach(element => intersectionObserver.observe(element));
+  gate.evaluate();
+
+  return gate;
+}
+
+/**
+ * Like setInterval, but runs on the shared ticker and only while the element is visible.
+ * @param {Element} element - The element the callback updates
+ * @param {Function} callback - Called every `interval` ms while visible
+ * @param {number} interval - Interval in ms
+ * @returns {{clear: Function, isRunning: Function}}
+ */
+export function setVisibleInterval(element, callback, interval) {
+  const handle = ticker.add(() => callback(), {
+    fps: 1000 / interval,
+    priority: PRIORITY.LOW,
+    paused: true,
+    delayFirstRun: true,
+    name: callback.name || 'visibleInterval'
+  });
+
+  const gate = createVisibilityGate(element, {
+    onResume: handle.resume,
+    onPause: handle.pause
+  });
+
+  return {
+    clear() {
+      handle.remove();
+      gate.destroy();
+    },
+    isRunning: () => !handle.isPaused()
+  };
+}
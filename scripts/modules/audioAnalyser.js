@@ -0,0 +1,207 @@
+/**
+ * Audio Analyser Module
+ * --------------------
+ * Taps the master bus with an AnalyserNode so visuals can follow the sound.
+ *
+ * This module:
+ * - Splits the spectrum into smoothed band levels: sub, low, mid and high (0-1)
+ * - Detects onsets (sudden rises in energy) with an adaptive threshold
+ * - Runs on the shared ticker only while the AudioContext is running
+ *
+ * sounds.js attaches it to the master gain node. Visual modules read levels each
+ * frame or subscribe to onsets:
+ *   const { low, high } = audioAnalyser.getLevels();
+ *   audioAnalyser.onOnset(strength => flash(strength));
+ */
+
+import { ticker, PRIORITY } from './ticker.js';
+
+// Band edges in Hz
+export const BANDS = {
+  sub: [20, 60],
+  low: [60, 250],
+  mid: [250, 2000],
+  high: [2000, 8000]
+};
+
+const ANALYSIS_FPS = 30;
+const FFT_SIZE = 1024;
+const ATTACK = 0.6;   // Share of a rise applied per frame
+const RELEASE = 0.12; // Share of a fall applied per frame, so levels decay smoothly
+
+const ONSET_CONFIG = {
+  historyLength: 30,   // Frames of flux history for the adaptive threshold (~1s)
+  sensitivity: 1.6,    // Flux must exceed the recent average by this factor
+  minFlux: 0.02,       // Ignore tiny changes in near-silence
+  cooldownMs: 120      // Shortest time between two onsets
+};
+
+const SILENT_LEVELS = Object.freeze({ sub: 0, low: 0, mid: 0, high: 0, overall: 0 });
+
+class AudioAnalyser {
+  #audioContext = null;
+  #source = null;
+  #analyser = null;
+  #spectrum = null;
+  #previousSpectrum = null;
+  #bandBins = {};
+  #levels = { ...SILENT_LEVELS };
+  #fluxHistory = [];
+  #lastOnsetTime = 0;
+  #tickerHandle = null;
+  #levelListeners = new Set();
+  #onsetListeners = new Set();
+
+  /**
+   * Taps a node. Calling again with another node moves the tap.
+   * @param {AudioContext} audioContext
+   * @param {AudioNode} source - Usually the master gain node
+   */
+  attach(audioContext, source) {
+    if (this.#source === source) return;
+    if (this.#source && this.#analyser) {
+      try {
+        this.#source.disconnect(this.#analyser);
+      } catch (error) {
+        // Already disconnected
+      }
+    }
+
+    if (this.#audioContext !== audioContext) {
+      this.#audioContext = audioContext;
+      this.#analyser = audioContext.createAnalyser();
+      this.#analyser.fftSize = FFT_SIZE;
+      this.#analyser.smoothingTimeConstant = 0.5;
+      this.#spectrum = new Uint8Array(this.#analyser.frequencyBinCount);
+      this.#previousSpectrum = new Uint8Array(this.#analyser.frequencyBinCount);
+      this.#bandBins = this.#getBandBins(audioContext.sampleRate);
+      audioContext.addEventListener('statechange', () => this.#updateRunning());
+    }
+
+    // A tap only: the analyser isn't connected onwards, so it doesn't change the sound
+    this.#source = source;
+    source.connect(this.#analyser);
+
+    if (!this.#tickerHandle) {
+      this.#tickerHandle = ticker.add(() => this.#analyse(), {
+        fps: ANALYSIS_FPS,
+        priority: PRIORITY.NORMAL,
+        paused: true,
+        name: 'audioAnalyser'
+      });
+    }
+    this.#updateRunning();
+    console.log('[audioAnalyser] Attached to master bus');
+  }
+
+  /**
+   * Current smoothed band levels.
+   * @returns {{sub: number, low: number, mid: number, high: number, overall: number}} - Each 0 to 1
+   */
+  getLevels() {
+    return this.#levels;
+  }
+
+  /**
+   * Subscribes to level updates (about 30 times a second while sound is running).
+   * @param {Function} listener - Called with getLevels()
+   * @returns {Function} - Unsubscribe function
+   */
+  onLevels(listener) {
+    this.#levelListeners.add(listener);
+    return () => this.#levelListeners.delete(listener);
+  }
+
+  /**
+   * Subscribes to onsets.
+   * @param {Function} listener - Called with the onset's strength (0 to 1) and the band levels
+   * @returns {Function} - Unsubscribe function
+   */
+  onOnset(listener) {
+    this.#onsetListeners.add(listener);
+    return () => this.#onsetListeners.delete(listener);
+  }
+
+  // FFT bin ranges for each band at this sample rate
+  #getBandBins(sampleRate) {
+    const binWidth = sampleRate / FFT_SIZE;
+    const lastBin = FFT_SIZE / 2 - 1;
+    const bins = {};
+    Object.entries(BANDS).forEach(([band, [low, high]]) => {
+      const start = Math.min(Math.max(Math.floor(low / binWidth), 1), lastBin);
+      bins[band] = [start, Math.min(Math.max(Math.ceil(high / binWidth), start + 1), lastBin + 1)];
+    });
+    return bins;
+  }
+
+  // Analyses only while the context runs; otherwise levels drop to silence
+  #updateRunning() {
+    if (!this.#tickerHandle) return;
+    if (this.#audioContext && this.#audioContext.state === 'running') {
+      this.#tickerHandle.resume();
+    } else {
+      this.#tickerHandle.pause();
+      this.#levels = { ...SILENT_LEVELS };
+      this.#fluxHistory = [];
+      this.#notify(this.#levelListeners, this.#levels);
+    }
+  }
+
+  #analyse() {
+    [this.#previousSpectrum, this.#spectrum] = [this.#spectrum, this.#previousSpectrum];
+    this.#analyser.getByteFrequencyData(this.#spectrum);
+
+    const levels = {};
+    let total = 0;
+    Object.entries(this.#bandBins).forEach(([band, [start, end]]) => {
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += this.#spectrum[i];
+      const target = sum / ((end - start) * 255);
+      const current = this.#levels[band];
+      levels[band] = current + (target - current) * (target > current ? ATTACK : RELEASE);
+      total += levels[band];
+    });
+    levels.overall = total / Object.keys(BANDS).length;
+    this.#levels = levels;
+    this.#notify(this.#levelListeners, levels);
+
+    this.#detectOnset(levels);
+  }
+
+  // Spectral flux: how much the spectrum rose since the last frame, compared with recent frames
+  #detectOnset(levels) {
+    const [start] = this.#bandBins.sub;
+    const [, end] = this.#bandBins.high;
+    let flux = 0;
+    for (let i = start; i < end; i++) {
+      const rise = this.#spectrum[i] - this.#previousSpectrum[i];
+      if (rise > 0) flux += rise;
+    }
+    flux /= (end - start) * 255;
+
+    const history = this.#fluxHistory;
+    const average = history.length ? history.reduce((sum, value) => sum + value, 0) / history.length : flux;
+    history.push(flux);
+    if (history.length > ONSET_CONFIG.historyLength) history.shift();
+
+    const now = performance.now();
+    if (flux < ONSET_CONFIG.minFlux || flux < average * ONSET_CONFIG.sensitivity) return;
+    if (now - this.#lastOnsetTime < ONSET_CONFIG.cooldownMs) return;
+
+    this.#lastOnsetTime = now;
+    const strength = Math.min((flux - average) / Math.max(average * ONSET_CONFIG.sensitivity, ONSET_CONFIG.minFlux), 1);
+    this.#notify(this.#onsetListeners, strength, levels);
+  }
+
+  #notify(listeners, ...args) {
+    listeners.forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error('[audioAnalyser] Error in listener:', error);
+      }
+    });
+  }
+}
+
+export const audioAnalyser = new AudioAnalyser();
@@ -8,17 +8,46 @@
  * - Manages toggling between 3D buttons (only one active).
  * - Handles special buttons (like easter eggs) triggering views.
  * - Controls visibility of corresponding view sections.
- * - Manages staggered animation of widgets (.widget elements) when switching views.
+ * - Manages staggered animation of widgets (.widget elements) when switching views,
+ *   in the order chosen by the view's choreography (see widgetChoreography.js).
+ * - Schedules transitions so clicks during a running transition retarget it to the
+ *   latest requested view instead of being dropped.
+ * - Syncs the active view with the URL hash so views can be bookmarked and navigated
+ *   with the browser's back/forward buttons (see viewRouter.js).
+ * - Exposes the 3D buttons as a WAI-ARIA tabs widget (tablist/tab/tabpanel, roving
+ *   tabindex, arrow/Home/End keys, Enter/Space activation).
+ * - Dispatches view lifecycle events and exposes navigateTo() for other modules.
+ * - Swaps views instantly, without widget animations, when motion is reduced (see motionPolicy.js).
+ *
+ * Lifecycle events bubble from the view element, so modules can listen on document:
+ *   document.addEventListener(VIEW_EVENTS.AFTER_ENTER, e => console.log(e.detail.toViewId));
+ * Each event's detail is { viewId, fromViewId, toViewId }, where viewId is the view the
+ * event is about and fromViewId/toViewId describe the whole transition (fromViewId is
+ * null for the initial view). A view that is skipped because of a retarget may receive
+ * beforeenter followed by beforeleave/afterleave without an afterenter in between.
  */
 
 // Import necessary modules
 import { buttonSounds } from './sounds.js';
+import { initViewRouter, getRequestedView, syncRoute } from './viewRouter.js';
+import { choreographWidgets } from './widgetChoreography.js';
+import { prefersReducedMotion } from './motionPolicy.js';
 
 // --- Configuration ---
 const SCREEN_IDS = ['home-view', 'portfolio-view', 'contact-view', 'game-view']; // Added game-view
+const DEFAULT_VIEW_ID = 'home-view'; // Shown when the URL has no (valid) hash
+const TABLIST_SELECTOR = '[data-tablist]'; // Container that groups 3D buttons into one tablist
 const WIDGET_ANIMATION_DURATION = 1000; // Max duration for stagger (in ms)
 const WIDGET_BASE_DELAY = 50; // Base delay before starting animations
 
+// View lifecycle events, dispatched on the view element and bubbling to document
+export const VIEW_EVENTS = {
+  BEFORE_LEAVE: 'view:beforeleave',
+  AFTER_LEAVE: 'view:afterleave',
+  BEFORE_ENTER: 'view:beforeenter',
+  AFTER_ENTER: 'view:afterenter'
+};
+
 // Special buttons that trigger views but don't have active states
 const SPECIAL_BUTTONS = {
   'easter-egg-button': 'game-view' // Map button ID to target view ID
@@ -26,6 +55,8 @@ const SPECIAL_BUTTONS = {
 
 // --- State ---
 let transitionInProgress = false;
+let currentTransitionTarget = null; // View ID the running transition is heading to
+let pendingViewRequest = null; // Latest { viewId, focusView, origin } requested mid-transition
 
 /**
  * WidgetAnimationManager
@@ -68,11 +99,26 @@ class WidgetAnimationManager {
    * Animate widgets in a view with precise control
    * @param {Element} view - The view containing widgets
    * @param {string} type - Either 'in' or 'out'
-   * @returns {Promise} - Resolves when all animations complete
+   * @param {Object} [options]
+   * @param {Element|null} [options.origin] - Element that triggered the transition (used by the 'distance' choreography)
+   * @returns {Promise} - Resolves when all animations complete (or the run is cancelled)
    */
-  animateWidgets(view, type) {
+  animateWidgets(view, type, { origin = null } = {}) {
     return new Promise(resolve => {
       const viewId = view.id;
+
+      // A new run for the same view supersedes any run still in flight
+      if (this.animationRegistry.has(viewId)) {
+        this.cancel(viewId);
+      }
+
+      // Reduced motion: no stagger, no sounds, widgets go straight to their end state
+      if (prefersReducedMotion()) {
+        this.applyEndState(Array.from(view.querySelectorAll('.widget')), type);
+        resolve();
+        return;
+      }
+
       const widgets = this.prepareWidgets(view, type);
       const numberOfWidgets = widgets.length;
       
@@ -84,29 +130,31 @@ class WidgetAnimationManager {
       
       console.log(`Animating ${type} ${numberOfWidgets} widgets for ${viewId}`);
       
-      // Track this animation in the registry
-      if (!this.animationRegistry.has(viewId)) {
-        this.animationRegistry.set(viewId, {
-          type,
-          count: 0,
-          total: numberOfWidgets,
-          complete: false
-        });
-      }
-      
-      // Shuffle widgets for random animation order
-      const shuffledWidgets = widgets.sort(() => Math.random() - 0.5);
+      // Track this animation in the registry, including its timers so it can be cancelled
+      const record = {
+        type,
+        count: 0,
+        total: numberOfWidgets,
+        complete: false,
+        widgets,
+        timers: [],
+        resolve
+      };
+      this.animationRegistry.set(viewId, record);
+      const schedule = (callback, delay) => {
+        record.timers.push(setTimeout(callback, delay));
+      };
       
-      // Calculate delay step for staggered animation
-      const delayStep = numberOfWidgets > 1 
-        ? (WIDGET_ANIMATION_DURATION - WIDGET_BASE_DELAY) / numberOfWidgets 
-        : 0;
+      // Order and stagger widgets according to the view's choreography
+      const timeline = choreographWidgets(widgets, view, {
+        type,
+        origin,
+        staggerWindow: WIDGET_ANIMATION_DURATION - WIDGET_BASE_DELAY
+      });
         
       // Set up event handler for animation tracking
       const handleAnimationEnd = (widget, index) => {
-        const record = this.animationRegistry.get(viewId);
-        
-        if (!record) return; // Safety check
+        if (record.complete) return; // Run was cancelled or timed out
         
         record.count++;
         
@@ -125,18 +173,16 @@ class WidgetAnimationManager {
       };
       
       // Handle each widget
-      shuffledWidgets.forEach((widget, index) => {
-        const delay = index * delayStep;
-        
+      timeline.forEach(({ widget, delay }, index) => {
         if (type === 'in') {
           // Make widget visible but transparent
           widget.style.opacity = '1';
           widget.style.visibility = 'visible';
           
-          setTimeout(() => {
+          schedule(() => {
             // Play sound with delay and reduced volume
-            setTimeout(() => {
-              buttonSounds.play('confirm', 0.05); // Reduced volume from 0.3 to 0.05
+            schedule(() => {
+              buttonSounds.play('confirm', 0.05, widget); // Reduced volume from 0.3 to 0.05
             }, this.soundDelayTime);
             
             // Add animation class
@@ -144,6 +190,7 @@ class WidgetAnimationManager {
             
             // Listen for animation end
             widget.addEventListener('animationend', () => {
+              if (record.complete) return;
               widget.classList.remove('widget-intro');
               handleAnimationEnd(widget, index);
             }, { once: true });
@@ -151,10 +198,10 @@ class WidgetAnimationManager {
           }, WIDGET_BASE_DELAY + delay);
           
         } else if (type === 'out') {
-          setTimeout(() => {
+          schedule(() => {
             // Play sound with delay and reduced volume
-            setTimeout(() => {
-              buttonSounds.play('confirm', 0.03); // Reduced volume from 0.2 to 0.03
+            schedule(() => {
+              buttonSounds.play('confirm', 0.03, widget); // Reduced volume from 0.2 to 0.03
             }, this.soundDelayTime);
             
             // Add animation class
@@ -162,6 +209,7 @@ class WidgetAnimationManager {
             
             // Listen for animation end
             widget.addEventListener('animationend', () => {
+              if (record.complete) return;
               widget.classList.remove('widget-outro');
               widget.style.opacity = '0.001';
               widget.style.visibility = 'hidden';
@@ -174,11 +222,12 @@ class WidgetAnimationManager {
       
       // Safety timeout in case animations don't complete properly
       const safetyTimeout = WIDGET_ANIMATION_DURATION + WIDGET_BASE_DELAY + 500;
-      setTimeout(() => {
-        if (this.animationRegistry.has(viewId) && !this.animationRegistry.get(viewId).complete) {
+      schedule(() => {
+        if (this.animationRegistry.get(viewId) === record && !record.complete) {
           console.warn(`Safety timeout triggered for ${viewId} ${type} animations`);
           
           // Force completion
+          record.complete = true;
           this.animationRegistry.delete(viewId);
           
           // If outro animation, ensure all widgets are hidden
@@ -195,6 +244,52 @@ class WidgetAnimationManager {
       }, safetyTimeout);
     });
   }
+
+  /**
+   * Cancels an in-flight animation run, snapping its widgets to the run's end state
+   * and resolving its promise so the caller can move on immediately.
+   * @param {string} viewId - The ID of the view whose animation should stop
+   * @returns {boolean} - Whether a running animation was cancelled
+   */
+  cancel(viewId) {
+    const record = this.animationRegistry.get(viewId);
+    if (!record) return false;
+
+    record.complete = true;
+    record.timers.forEach(timer => clearTimeout(timer));
+    this.animationRegistry.delete(viewId);
+
+    this.applyEndState(record.widgets, record.type);
+
+    console.log(`Cancelled ${record.type} animation for ${viewId} (${record.count}/${record.total} finished)`);
+    record.resolve();
+    return true;
+  }
+
+  /**
+   * Puts widgets straight into the state an animation run would leave them in.
+   * @param {Element[]} widgets - The widgets to update
+   * @param {string} type - Either 'in' (shown) or 'out' (hidden)
+   */
+  applyEndState(widgets, type) {
+    widgets.forEach(widget => {
+      widget.classList.remove('widget-intro', 'widget-outro');
+      if (type === 'in') {
+        widget.style.opacity = '1';
+        widget.style.visibility = 'visible';
+      } else {
+        widget.style.opacity = '0.001';
+        widget.style.visibility = 'hidden';
+      }
+    });
+  }
+
+  /**
+   * Cancels every in-flight animation run.
+   */
+  cancelAll() {
+    Array.from(this.animationRegistry.keys()).forEach(viewId => this.cancel(viewId));
+  }
   
   /**
    * Clean up any completed animations that are older than 5 seconds
@@ -246,36 +341,46 @@ function initializeSystem() {
     console.log(`Set up events for 3D button: ${wrapper.id || wrapper.dataset.variant}`);
   });
 
-  // 3. Setup Special Button Listeners
+  // 3. Wire the buttons and views up as an accessible tabs widget
+  setupTablist(buttonWrappers);
+
+  // 4. Setup Special Button Listeners
   setupSpecialButtons();
 
-  // 4. Activate Home View by Default (after a slight delay for Lottie)
+  // 5. Start listening for back/forward navigation
+  initViewRouter(SCREEN_IDS, {
+    defaultView: DEFAULT_VIEW_ID,
+    onRouteChange: handleRouteChange
+  });
+
+  // 6. Activate the view requested by the URL, or home by default (after a slight delay for Lottie)
   // We wait a bit to ensure Lottie has initialized before the first animation
   setTimeout(() => {
-    const homeButtonWrapper = document.querySelector('.btn-3d[data-variant="home"]');
-    const homeView = document.getElementById('home-view');
+    let initialViewId = getRequestedView() || DEFAULT_VIEW_ID;
+    let initialView = document.getElementById(initialViewId);
 
-    if (homeButtonWrapper && homeView) {
-      console.log('Activating home button and view by default');
-      
-      deactivateAllButtons();
-      homeButtonWrapper.classList.add('btn-3d--active');
-      
-      const innerButton = homeButtonWrapper.querySelector('.btn-3d__button');
-      if (innerButton) {
-        innerButton.setAttribute('aria-selected', 'true');
-      }
-      
-      void homeButtonWrapper.offsetWidth;
-      
-      console.log(`Home button wrapper activated: ${homeButtonWrapper.className}`);
-      
-      showViewElement(homeView);
-      widgetAnimator.animateWidgets(homeView, 'in');
+    if (!initialView && initialViewId !== DEFAULT_VIEW_ID) {
+      console.warn(`Requested view #${initialViewId} not found, falling back to ${DEFAULT_VIEW_ID}`);
+      initialViewId = DEFAULT_VIEW_ID;
+      initialView = document.getElementById(initialViewId);
+    }
+
+    if (initialView) {
+      console.log(`Activating initial view: ${initialViewId}`);
+
+      activateButtonsForView(initialViewId);
+      syncRoute(initialViewId, { replace: true });
+
+      dispatchViewEvent(initialView, VIEW_EVENTS.BEFORE_ENTER, null, initialViewId);
+      showViewElement(initialView);
+      widgetAnimator.animateWidgets(initialView, 'in').then(() => {
+        // A click during the intro starts a transition that takes over the lifecycle
+        if (!transitionInProgress) {
+          dispatchViewEvent(initialView, VIEW_EVENTS.AFTER_ENTER, null, initialViewId);
+        }
+      });
     } else {
-      console.warn('Home button wrapper or home view not found for default activation.');
-      if (!homeButtonWrapper) console.warn('Could not find .btn-3d[data-variant="home"]');
-      if (!homeView) console.warn('Could not find #home-view');
+      console.warn(`Could not find #${initialViewId} for default activation.`);
     }
     
     console.log('Consolidated system initialized.');
@@ -313,13 +418,88 @@ function prepareViewsAndWidgets() {
 // --- Event Setup ---
 function setupButtonEvents(wrapper) {
   wrapper.addEventListener('click', handleButtonClick);
-  wrapper.addEventListener('mousedown', () => buttonSounds.play('press'));
+  wrapper.addEventListener('mousedown', () => buttonSounds.play('press', 1.0, wrapper));
 
   const button = wrapper.querySelector('.btn-3d__button');
   if (button) {
     button.setAttribute('role', 'tab');
     button.setAttribute('aria-selected', 'false');
+    button.setAttribute('tabindex', '-1');
+    button.addEventListener('keydown', handleTabKeydown);
+  }
+}
+
+/**
+ * Completes the WAI-ARIA tabs pattern around the 3D buttons.
+ * - Each element marked [data-tablist] becomes role="tablist" for the buttons inside it.
+ *   Buttons outside any [data-tablist] share one tablist: their nearest common ancestor.
+ * - Each tab gets an ID and aria-controls pointing at its view.
+ * - Each view becomes a focusable role="tabpanel" labelled by its tab.
+ * @param {NodeList} buttonWrappers - All .btn-3d wrappers
+ */
+function setupTablist(buttonWrappers) {
+  const tablists = new Set();
+  const unlisted = []; // Wrappers with no [data-tablist] ancestor
+  const usedIds = new Set();
+
+  buttonWrappers.forEach(wrapper => {
+    const tab = wrapper.querySelector('.btn-3d__button');
+    if (!tab) return;
+
+    const viewId = getTargetViewId(wrapper);
+    const view = document.getElementById(viewId);
+
+    if (!tab.id) {
+      // Sibling buttons share a variant, so make generated IDs unique
+      const baseId = `${viewId.replace('-view', '')}-tab`;
+      let id = baseId;
+      for (let i = 2; usedIds.has(id) || document.getElementById(id); i++) {
+        id = `${baseId}-${i}`;
+      }
+      tab.id = id;
+    }
+    usedIds.add(tab.id);
+
+    tab.setAttribute('aria-controls', viewId);
+
+    if (view) {
+      view.setAttribute('role', 'tabpanel');
+      view.setAttribute('tabindex', '-1');
+      // First tab wins when several buttons control the same view
+      if (!view.hasAttribute('aria-labelledby')) {
+        view.setAttribute('aria-labelledby', tab.id);
+      }
+    } else {
+      console.warn(`Tab ${tab.id} controls missing view #${viewId}`);
+    }
+
+    const tablist = wrapper.closest(TABLIST_SELECTOR);
+    if (tablist) {
+      tablists.add(tablist);
+    } else {
+      unlisted.push(wrapper);
+    }
+  });
+
+  if (unlisted.length) {
+    const container = getCommonAncestor(unlisted);
+    // The whole page can't be a tablist; the markup needs a [data-tablist] container instead
+    if (container && container !== document.body && container !== document.documentElement) {
+      tablists.add(container);
+    } else {
+      console.warn(`${unlisted.length} 3D button(s) have no shared container; mark one with ${TABLIST_SELECTOR}`);
+    }
   }
+
+  tablists.forEach(tablist => {
+    tablist.setAttribute('role', 'tablist');
+    if (!tablist.hasAttribute('aria-label') && !tablist.hasAttribute('aria-labelledby')) {
+      tablist.setAttribute('aria-label', 'Site sections');
+    }
+  });
+
+  updateRovingTabindex();
+  console.log(`Set up ${tablists.size} tablist(s) for ${buttonWrappers.length} 3D buttons`);
 }
 
 function setupSpecialButtons() {
@@ -328,7 +508,7 @@ function setupSpecialButtons() {
     if (button) {
       console.log(`Setting up special button: ${buttonId} -> ${targetViewId}`);
       button.addEventListener('click', () => handleSpecialButtonClick(button, targetViewId));
-      button.addEventListener('mousedown', () => buttonSounds.play('press'));
+      button.addEventListener('mousedown', () => buttonSounds.play('press', 1.0, button));
     } else {
       console.warn(`Special button with ID '${buttonId}' not found in DOM.`);
     }
@@ -336,120 +516,291 @@ function setupSpecialButtons() {
 }
 
 // --- Event Handlers ---
-function handleButtonClick() {
-  if (transitionInProgress) {
-    console.log('View transition already in progress, ignoring click.');
-    return; 
-  }
+function handleButtonClick(event) {
   const buttonWrapper = this;
-  const buttonId = buttonWrapper.id;
-  const variant = buttonWrapper.dataset.variant;
-  const screenType = buttonId ? buttonId.replace('-button', '') : variant;
-  const targetScreenId = `${screenType}-view`;
+  const targetScreenId = getTargetViewId(buttonWrapper);
 
-  console.log(`3D Button clicked: ${buttonId || variant} -> ${targetScreenId}`);
+  console.log(`3D Button clicked: ${buttonWrapper.id || buttonWrapper.dataset.variant} -> ${targetScreenId}`);
 
   if (buttonWrapper.classList.contains('btn-3d--active')) {
     console.log('Button already active, doing nothing.');
     return;
   }
 
-  transitionInProgress = true; 
+  // Keyboard-generated clicks have no click count; move focus into the new view for those
+  switchView(targetScreenId, { focusView: event.detail === 0, origin: buttonWrapper });
+}
 
-  const previousScreen = getActiveScreenElement();
-  const targetScreen = document.getElementById(targetScreenId);
+function handleSpecialButtonClick(button, targetViewId) {
+  console.log(`Special button clicked: ${button.id} -> ${targetViewId}`);
+  switchView(targetViewId, { origin: button });
+}
 
-  if (!targetScreen) {
-    console.error(`Target screen element #${targetScreenId} not found!`);
-    transitionInProgress = false;
-    return;
+/**
+ * Keyboard support for the tabs widget.
+ * Arrow keys move focus between tabs in the same tablist (wrapping), Home/End jump
+ * to the first/last tab, Enter/Space activate the focused tab.
+ * @param {KeyboardEvent} event
+ */
+function handleTabKeydown(event) {
+  const tab = event.currentTarget;
+  const tabs = getTabsInList(tab);
+  const index = tabs.indexOf(tab);
+  let nextTab = null;
+
+  switch (event.key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      nextTab = tabs[(index + 1) % tabs.length];
+      break;
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      nextTab = tabs[(index - 1 + tabs.length) % tabs.length];
+      break;
+    case 'Home':
+      nextTab = tabs[0];
+      break;
+    case 'End':
+      nextTab = tabs[tabs.length - 1];
+      break;
+    case 'Enter':
+    case ' ':
+      // Native buttons already turn Enter/Space into a click
+      if (tab.tagName !== 'BUTTON') {
+        event.preventDefault();
+        buttonSounds.play('press', 1.0, tab);
+        tab.closest('.btn-3d').click();
+      }
+      return;
+    default:
+      return;
   }
 
-  buttonSounds.play('confirm', 0.8);
-  deactivateAllButtons();
-  activateButton(buttonWrapper);
-  if (variant) {
-    let siblingSelector = `.btn-3d[data-variant="${variant}"]`;
-    if (buttonId) {
-      siblingSelector += `:not(#${buttonId})`;
-    }
-    document.querySelectorAll(siblingSelector).forEach(siblingWrapper => {
-      activateButton(siblingWrapper);
-    });
-  }
+  event.preventDefault();
+  focusTab(nextTab, tabs);
+}
 
-  performViewTransition(previousScreen, targetScreen);
+/**
+ * Moves focus (and the roving tabindex) to a tab.
+ * @param {Element} tab - The tab to focus
+ * @param {Element[]} tabs - All tabs in the same tablist
+ */
+function focusTab(tab, tabs) {
+  if (!tab) return;
+  tabs.forEach(t => t.setAttribute('tabindex', t === tab ? '0' : '-1'));
+  tab.focus();
 }
 
-function handleSpecialButtonClick(button, targetViewId) {
-  if (transitionInProgress) {
-    console.log('View transition already in progress, ignoring click.');
-    return;
+/**
+ * Handles back/forward navigation reported by the view router.
+ * @param {string} viewId - The view the URL now points at
+ */
+function handleRouteChange(viewId) {
+  switchView(viewId, { updateHistory: false });
+}
+
+/**
+ * Programmatically navigates to a view, exactly as if its button had been pressed.
+ * Requests made during a running transition retarget it.
+ * @param {string} viewId - ID of the view to show (e.g. 'contact-view')
+ * @param {Object} [options]
+ * @param {boolean} [options.updateHistory=true] - Push a history entry for the new view
+ * @param {boolean} [options.focusView=false] - Move focus into the view once it has animated in
+ * @returns {boolean} - Whether the view exists and the request was accepted
+ */
+export function navigateTo(viewId, { updateHistory = true, focusView = false } = {}) {
+  if (!SCREEN_IDS.includes(viewId) || !document.getElementById(viewId)) {
+    console.warn(`navigateTo: unknown view '${viewId}'`);
+    return false;
   }
-  console.log(`Special button clicked: ${button.id} -> ${targetViewId}`);
+  switchView(viewId, { updateHistory, focusView });
+  return true;
+}
+
+/**
+ * Returns the ID of the view currently on screen (or being left), if any.
+ * @returns {string|null}
+ */
+export function getActiveViewId() {
+  const activeScreen = getActiveScreenElement();
+  return activeScreen ? activeScreen.id : null;
+}
 
+/**
+ * Switches to the given view: updates button states, history and runs the widget transition.
+ * If a transition is already running, the request retargets it instead (see retargetTransition).
+ * @param {string} targetViewId - ID of the view to show
+ * @param {Object} [options]
+ * @param {boolean} [options.updateHistory=true] - Push a history entry for the new view
+ * @param {boolean} [options.focusView=false] - Move focus into the view once it has animated in
+ * @param {Element|null} [options.origin=null] - Element that triggered the switch (e.g. the clicked button)
+ */
+function switchView(targetViewId, { updateHistory = true, focusView = false, origin = null } = {}) {
   const targetScreen = document.getElementById(targetViewId);
   if (!targetScreen) {
-    console.error(`Target screen element #${targetViewId} for special button not found!`);
+    console.error(`Target screen element #${targetViewId} not found!`);
     return;
   }
 
-  const previousScreen = getActiveScreenElement();
+  if (transitionInProgress) {
+    retargetTransition(targetViewId, { updateHistory, focusView, origin });
+    return;
+  }
 
+  const previousScreen = getActiveScreenElement();
   if (previousScreen && previousScreen.id === targetViewId) {
     console.log('Already on the target screen, doing nothing.');
     return;
   }
 
+  buttonSounds.play('confirm', 0.8, origin);
+  activateButtonsForView(targetViewId);
+  if (updateHistory) syncRoute(targetViewId);
+
+  runTransitions(previousScreen, targetScreen, { focusView, origin });
+}
+
+/**
+ * Records a view request that arrives while a transition is running.
+ * Only the latest request is kept, and the in-flight widget animations are
+ * fast-forwarded so the scheduler can move on to it straight away.
+ * Buttons and URL reflect the new intent immediately.
+ * @param {string} targetViewId - ID of the newly requested view
+ * @param {Object} options - See switchView
+ */
+function retargetTransition(targetViewId, { updateHistory, focusView, origin }) {
+  if (targetViewId === currentTransitionTarget) {
+    if (pendingViewRequest) {
+      console.log(`Back to ${targetViewId}, dropping queued request for ${pendingViewRequest.viewId}`);
+      pendingViewRequest = null;
+      activateButtonsForView(targetViewId);
+      if (updateHistory) syncRoute(targetViewId);
+    }
+    return;
+  }
+
+  if (pendingViewRequest && pendingViewRequest.viewId === targetViewId) return;
+
+  console.log(`Transition to ${currentTransitionTarget} in progress, retargeting to ${targetViewId}`);
+  pendingViewRequest = { viewId: targetViewId, focusView, origin };
+
+  buttonSounds.play('confirm', 0.8, origin);
+  activateButtonsForView(targetViewId);
+  if (updateHistory) syncRoute(targetViewId);
+
+  widgetAnimator.cancelAll();
+}
+
+/**
+ * Runs view transitions until the screen matches the latest requested view.
+ * @param {Element|null} fromView - The view currently on screen
+ * @param {Element} toView - The first view to transition to
+ * @param {Object} options
+ * @param {boolean} options.focusView - Move focus into the final view once it has animated in
+ * @param {Element|null} options.origin - Element that triggered the transition
+ */
+async function runTransitions(fromView, toView, { focusView, origin }) {
   transitionInProgress = true;
+  let request = { viewId: toView.id, focusView, origin };
 
-  buttonSounds.play('confirm', 0.8);
-  deactivateAllButtons();
-  performViewTransition(previousScreen, targetScreen);
+  try {
+    while (request) {
+      currentTransitionTarget = request.viewId;
+      pendingViewRequest = null;
+
+      const target = document.getElementById(request.viewId);
+      fromView = await performViewTransition(fromView, target, request);
+
+      // Follow the latest request; retry the current one if the transition bailed out early
+      request = pendingViewRequest || (fromView === target ? null : request);
+      if (request && fromView && fromView.id === request.viewId) {
+        request = null; // Retargeted back to the view that is already showing
+      }
+    }
+  } catch (error) {
+    console.error('Error during view transition:', error);
+  } finally {
+    transitionInProgress = false;
+    currentTransitionTarget = null;
+    pendingViewRequest = null;
+  }
 }
 
 // --- View Transition Logic ---
-function performViewTransition(oldView, newView) {
+/**
+ * Animates the old view's widgets out, swaps the views and animates the new view's widgets in.
+ * Bails out between phases if a newer view has been requested in the meantime.
+ * @param {Element|null} oldView - The view currently on screen
+ * @param {Element} newView - The view to show
+ * @param {Object} [options]
+ * @param {boolean} [options.focusView=false] - Move focus into the view once it has animated in
+ * @param {Element|null} [options.origin=null] - Element that triggered the transition
+ * @returns {Promise<Element|null>} - The view left on screen, or null if none is showing
+ */
+async function performViewTransition(oldView, newView, { focusView = false, origin = null } = {}) {
   console.log(`Transitioning from ${oldView ? oldView.id : 'none'} to ${newView.id}`);
 
   // Hide ALL widgets in the new view BEFORE the transition
   forceHideAllWidgetsInView(newView);
 
+  const fromViewId = oldView ? oldView.id : null;
+
   if (oldView) {
-    // Animate widgets out from current view
-    widgetAnimator.animateWidgets(oldView, 'out').then(() => {
-      // Once widgets are gone, switch views
-      hideViewElement(oldView);
-      
-      // First make the view visible but keep widgets hidden
-      showViewElement(newView);
-      
-      // Force hide widgets AGAIN to ensure they're invisible
-      forceHideAllWidgetsInView(newView);
-      
-      // Longer delay before starting widget intro animations to ensure clean separation
-      // Increased from 50ms to 200ms to ensure no overlap between transitions
-      setTimeout(() => {
-        // Now animate widgets in
-        widgetAnimator.animateWidgets(newView, 'in').then(() => {
-          transitionInProgress = false;
-        });
-      }, 200);
-    });
-  } else {
-    // No previous view, just show the new one
-    showViewElement(newView);
-    
-    // Force hide all widgets
-    forceHideAllWidgetsInView(newView);
-    
-    // Longer delay before starting widget intro animations to ensure clean separation
-    setTimeout(() => {
-      widgetAnimator.animateWidgets(newView, 'in').then(() => {
-        transitionInProgress = false;
-      });
-    }, 200);
+    // Animate widgets out from current view, then hide it
+    dispatchViewEvent(oldView, VIEW_EVENTS.BEFORE_LEAVE, fromViewId, newView.id);
+    await widgetAnimator.animateWidgets(oldView, 'out', { origin });
+    hideViewElement(oldView);
+    dispatchViewEvent(oldView, VIEW_EVENTS.AFTER_LEAVE, fromViewId, newView.id);
+  }
+
+  // A newer request arrived while the old view was leaving: don't show this one at all
+  if (pendingViewRequest) {
+    console.log(`Skipping ${newView.id}, retargeting to ${pendingViewRequest.viewId}`);
+    return null;
+  }
+
+  // First make the view visible but keep widgets hidden
+  dispatchViewEvent(newView, VIEW_EVENTS.BEFORE_ENTER, fromViewId, newView.id);
+  showViewElement(newView);
+  
+  // Force hide widgets AGAIN to ensure they're invisible
+  forceHideAllWidgetsInView(newView);
+  
+  // Longer delay before starting widget intro animations to ensure clean separation
+  // Increased from 50ms to 200ms to ensure no overlap between transitions
+  // Skipped under reduced motion, where views swap instantly
+  if (!prefersReducedMotion()) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  if (pendingViewRequest) {
+    console.log(`Skipping intro of ${newView.id}, retargeting to ${pendingViewRequest.viewId}`);
+    dispatchViewEvent(newView, VIEW_EVENTS.BEFORE_LEAVE, newView.id, pendingViewRequest.viewId);
+    hideViewElement(newView);
+    dispatchViewEvent(newView, VIEW_EVENTS.AFTER_LEAVE, newView.id, pendingViewRequest.viewId);
+    return null;
   }
+
+  // Now animate widgets in
+  await widgetAnimator.animateWidgets(newView, 'in', { origin });
+  dispatchViewEvent(newView, VIEW_EVENTS.AFTER_ENTER, fromViewId, newView.id);
+  if (focusView && !pendingViewRequest) newView.focus({ preventScroll: true });
+
+  return newView;
+}
+
+/**
+ * Dispatches a view lifecycle event from a view element.
+ * @param {Element} view - The view the event is about
+ * @param {string} type - One of VIEW_EVENTS
+ * @param {string|null} fromViewId - View the transition started from
+ * @param {string} toViewId - View the transition is heading to
+ */
+function dispatchViewEvent(view, type, fromViewId, toViewId) {
+  view.dispatchEvent(new CustomEvent(type, {
+    bubbles: true,
+    detail: { viewId: view.id, fromViewId, toViewId }
+  }));
 }
 
 /**
@@ -532,6 +883,8 @@ function deactivateAllButtons() {
     }
   });
 
+  updateRovingTabindex();
+
   if (activeCount > 0) {
     console.log(`[deactivateAllButtons] Found and deactivated ${activeCount} active wrapper(s).`);
   } else {
@@ -558,6 +911,7 @@ function activateButton(wrapper) {
     if (innerButton.classList.contains('btn-3d--active')) {
       innerButton.classList.remove('btn-3d--active');
     }
+    updateRovingTabindex();
   } else {
     console.warn(`Could not find inner .btn-3d__button for wrapper: ${id}`);
   }
@@ -565,7 +919,69 @@ function activateButton(wrapper) {
   console.log(`[activateButton] Activated wrapper: ${id}`);
 }
 
+/**
+ * Activates every 3D button that targets the given view, deactivating the rest.
+ * Views without a matching button (e.g. the easter egg view) leave all buttons inactive.
+ * @param {string} viewId - ID of the view that is becoming active
+ */
+function activateButtonsForView(viewId) {
+  const screenType = viewId.replace('-view', '');
+  deactivateAllButtons();
+  // Match on data-variant too, so sibling buttons (e.g. mobile + desktop) light up together
+  document.querySelectorAll('.btn-3d').forEach(wrapper => {
+    if (getTargetViewId(wrapper) === viewId || wrapper.dataset.variant === screenType) {
+      activateButton(wrapper);
+    }
+  });
+}
+
+/**
+ * Keeps exactly one tab per tablist in the tab order: the selected one,
+ * or the first tab when the active view has no button (e.g. the easter egg view).
+ */
+function updateRovingTabindex() {
+  document.querySelectorAll('[role="tablist"]').forEach(tablist => {
+    const tabs = Array.from(tablist.querySelectorAll('.btn-3d__button[role="tab"]'));
+    if (!tabs.length) return;
+    const selectedTab = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+    tabs.forEach(tab => tab.setAttribute('tabindex', tab === selectedTab ? '0' : '-1'));
+  });
+}
+
 // --- Utility ---
+/**
+ * Nearest element containing all of the given elements (the parent, for a single element).
+ * @param {Element[]} elements
+ * @returns {Element|null}
+ */
+function getCommonAncestor(elements) {
+  let ancestor = elements[0].parentElement;
+  while (ancestor && !elements.every(element => ancestor.contains(element))) {
+    ancestor = ancestor.parentElement;
+  }
+  return ancestor;
+}
+
+/**
+ * Returns all tabs that share a tablist with the given tab, in DOM order.
+ * @param {Element} tab - A .btn-3d__button
+ * @returns {Element[]}
+ */
+function getTabsInList(tab) {
+  const tablist = tab.closest('[role="tablist"]');
+  return tablist ? Array.from(tablist.querySelectorAll('.btn-3d__button[role="tab"]')) : [tab];
+}
+
+/**
+ * Resolves the view a 3D button wrapper switches to, from its ID or data-variant.
+ * @param {Element} wrapper - The .btn-3d wrapper
+ * @returns {string} - Target view ID
+ */
+function getTargetViewId(wrapper) {
+  const screenType = wrapper.id ? wrapper.id.replace('-button', '') : wrapper.dataset.variant;
+  return `${screenType}-view`;
+}
+
 function getActiveScreenElement() {
   for (const id of SCREEN_IDS) {
     const screen = document.getElementById(id);
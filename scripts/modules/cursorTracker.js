@@ -4,26 +4,66 @@
  * Tracks cursor movements, clicks and distance traveled.
  *
  * This module:
- * - Tracks total cursor travel distance with unit conversion
+ * - Tracks total cursor travel distance with unit conversion, using the screen calibration when there is one
  * - Maintains click count statistics
- * - Uses requestAnimationFrame for optimized performance
+ * - Reports distance and clicks to visitorStats.js for the lifetime totals
+ * - Updates readouts on the shared animation ticker, paused while the readouts are hidden
  * - Exports cursor position data for use by other modules
+ * - Passes every pointer sample and click on to subscribers (see onPointerSample)
+ * - Publishes smoothed pointer motion, activity and gestures through `cursorEvents`
+ *
+ * cursorEvents is the site's shared activity source:
+ *   cursorEvents.on('move', state => ...);    // Smoothed velocity (px/s) and acceleration (px/s²)
+ *   cursorEvents.on('stop', state => ...);    // Pointer came to rest
+ *   cursorEvents.on('idle', ({ idleFor }) => ...);  // No input (pointer, keys, wheel, touch) for a while
+ *   cursorEvents.on('active', ({ source }) => ...); // First input after being idle
+ *   cursorEvents.on('leave' | 'enter', () => ...);  // Pointer left or re-entered the window
+ *   cursorEvents.on('shake' | 'circle', gesture => ...);
+ * Each on() returns an unsubscribe function. Other input (e.g. scrolling momentum) can
+ * keep the visitor active with markActivity(source).
  */
 
 // ------------------------------------------------------------
 // Annotations:
 // This code tracks cursor movements, click counts and distance traveled.
-// It uses requestAnimationFrame for continuous updates, performance.now()
+// It uses the shared ticker for continuous updates, performance.now()
 // for precise timing, and precomputed DPI for distance calculations.
 // ------------------------------------------------------------
 
+import { createVisibilityGate } from './animationVisibility.js';
+import { VIEW_EVENTS } from './buttonToggle.js';
+import { ticker } from './ticker.js';
+import { EventEmitter } from './eventEmitter.js';
+import { recordClick, recordDistance, promoteDistance } from './visitorStats.js';
+import { getPixelsPerInch, onCalibrationChange } from './screenCalibration.js';
+
 // **Constants**
 const CM_PER_INCH = 2.54;
+
+// **Activity and gesture settings**
+const ACTIVITY_CONFIG = {
+  idleTimeout: 3000,   // ms without input before 'idle'
+  stopDelay: 100,      // ms without movement before the pointer counts as at rest
+  smoothing: 80        // ms time constant for velocity and acceleration smoothing
+};
+
+const GESTURE_CONFIG = {
+  shakeWindow: 800,    // ms in which the reversals must happen
+  shakeReversals: 4,   // Side-to-side direction changes that make a shake
+  shakeMinTravel: 30,  // px each stroke must cover to count
+  circleWindow: 1200,  // ms in which a full turn must happen
+  circleMinPath: 150,  // px of path, so small jitters don't count
+  circleMaxAspect: 2,  // Width/height ratio beyond which the loop is too squashed to be a circle
+  maxTurnStep: 2.5,    // rad; sharper turns are reversals, not part of a circle
+  cooldown: 1000       // ms between two gestures of the same kind
+};
+const METERS_PER_PIXEL_INCH = CM_PER_INCH / 100;
 const INCHES_PER_MILE = 63360;
 
 // **DYNAMIC VARIABLES**
-let cursorXPercent = 0;
-let cursorYPercent = 0;
+// Screen centre until the first pointer event
+let cursorXPercent = 0.5;
+let cursorYPercent = 0.5;
 
 let prevMouseX = null,
     prevMouseY = null,
@@ -36,18 +76,46 @@ let currentDistanceMeters = 0;
 let currentDistanceMiles = 0;
 
 // **DPI Calculation**
-let dpi_x = window.devicePixelRatio ? 96 * window.devicePixelRatio : 96;
-dpi_x *= 5 / 6.5; // Adjusted based on measurement
+// Estimate for uncalibrated screens; screenCalibration.js measures the real value
+let estimatedDpi = window.devicePixelRatio ? 96 * window.devicePixelRatio : 96;
+estimatedDpi *= 5 / 6.5; // Adjusted based on measurement
+let dpi_x = getPixelsPerInch() || estimatedDpi;
 
 // **DOM Elements**
 let clickCounterElement = null, distanceValueM = null, distanceValueMiles = null;
+let distanceUnitM = []; // Unit labels for the metres readout, which promotes to km
 let isInitialized = false; // Flag to prevent multiple initializations
 
+export const cursorEvents = new EventEmitter('cursorTracker');
+
+// **Motion and activity state**
+const motion = {
+  velocityX: 0,      // px/s, smoothed
+  velocityY: 0,
+  speed: 0,
+  acceleration: 0,   // px/s², smoothed; negative while slowing down
+  isIdle: true,
+  isInside: true
+};
+let lastActivityTime = 0;
+let idleTimer = null;
+let stopTimer = null;
+
+// **Gesture state**
+const shake = { direction: 0, travel: 0, reversals: [] };
+let circlePath = []; // { time, x, y, turn, length }
+let lastHeading = null;
+const lastGestureTime = { shake: -Infinity, circle: -Infinity };
+let tickerHandle = null;
+let readoutGate = null;
+let gatedReadoutCount = 0;
+
 // Initialize DOM elements lazily
 function ensureElementsInitialized() {
   if (!clickCounterElement) clickCounterElement = document.getElementById('click-counter');
   if (!distanceValueM) distanceValueM = document.getElementById('distance-value-m');
   if (!distanceValueMiles) distanceValueMiles = document.getElementById('distance-value-miles');
+  if (!distanceUnitM.length) distanceUnitM = Array.from(document.querySelectorAll('[data-unit-for="distance-value-m"]'));
 }
 
 // Distance calculations
@@ -57,19 +125,176 @@ function updateDistanceMetrics() {
   currentDistanceMiles = distanceInches / INCHES_PER_MILE;
 }
 
-// Format values to "000.00" format, capped at 999.99
+// Format values to "000.00" format; larger values grow rather than being capped
 function formatValue(value) {
-  const cappedValue = Math.min(value, 999.99);
-  return cappedValue.toFixed(2).padStart(6, '0');
+  return value.toFixed(2).padStart(6, '0');
 }
 
 // Update DOM elements with tracking data
 function updateDebugDisplay() {
   if (clickCounterElement) clickCounterElement.textContent = clickCount.toString();
-  if (distanceValueM) distanceValueM.textContent = formatValue(currentDistanceMeters);
+  if (distanceValueM) {
+    // Metres promote to km past 1000; labels marked data-unit-for="distance-value-m" follow
+    const { value, unit } = promoteDistance(currentDistanceMeters);
+    distanceValueM.textContent = formatValue(value);
+    distanceUnitM.forEach(label => {
+      if (label.textContent !== unit) label.textContent = unit;
+    });
+  }
   if (distanceValueMiles) distanceValueMiles.textContent = formatValue(currentDistanceMiles);
 }
 
+/**
+ * Subscribes to pointer samples: every tracked move (at most once a frame) and every click.
+ * @param {Function} listener - Called with { type: 'move' | 'click', x, y, time } in viewport px
+ * @returns {Function} - Unsubscribe function
+ */
+export function onPointerSample(listener) {
+  return cursorEvents.on('sample', listener);
+}
+
+function emitSample(type, x, y, time) {
+  cursorEvents.emit('sample', { type, x, y, time });
+}
+
+/**
+ * Current pointer motion and activity.
+ * @returns {{x: number, y: number, velocityX: number, velocityY: number, speed: number, acceleration: number, isIdle: boolean, isInside: boolean}}
+ *   x/y as 0-1 fractions of the viewport, velocities in px/s, acceleration in px/s²
+ */
+export function getPointerState() {
+  return { x: cursorXPercent, y: cursorYPercent, ...motion };
+}
+
+/**
+ * Records input, ending idleness. Called for pointer, key, wheel and touch input here;
+ * other modules can report their own (e.g. scrolling momentum).
+ * @param {string} source - What the input was, passed on with 'active'
+ */
+export function markActivity(source) {
+  lastActivityTime = performance.now();
+  if (motion.isIdle) {
+    motion.isIdle = false;
+    cursorEvents.emit('active', { source });
+  }
+  if (!idleTimer) idleTimer = setTimeout(checkIdle, ACTIVITY_CONFIG.idleTimeout);
+}
+
+// One timer for the whole idle period, re-armed for the remainder rather than on every input
+function checkIdle() {
+  const idleFor = performance.now() - lastActivityTime;
+  if (idleFor < ACTIVITY_CONFIG.idleTimeout) {
+    idleTimer = setTimeout(checkIdle, ACTIVITY_CONFIG.idleTimeout - idleFor);
+    return;
+  }
+  idleTimer = null;
+  motion.isIdle = true;
+  cursorEvents.emit('idle', { idleFor });
+}
+
+// Smooths velocity and acceleration from one sample to the next
+function updateMotion(dx, dy, dtMs) {
+  const k = 1 - Math.exp(-dtMs / ACTIVITY_CONFIG.smoothing);
+  const seconds = dtMs / 1000;
+  motion.velocityX += (dx / seconds - motion.velocityX) * k;
+  motion.velocityY += (dy / seconds - motion.velocityY) * k;
+  const speed = Math.hypot(motion.velocityX, motion.velocityY);
+  motion.acceleration += ((speed - motion.speed) / seconds - motion.acceleration) * k;
+  motion.speed = speed;
+  cursorEvents.emit('move', getPointerState());
+
+  clearTimeout(stopTimer);
+  stopTimer = setTimeout(stopMotion, ACTIVITY_CONFIG.stopDelay);
+}
+
+function stopMotion() {
+  clearTimeout(stopTimer);
+  stopTimer = null;
+  if (motion.speed === 0 && motion.acceleration === 0) return;
+  motion.velocityX = 0;
+  motion.velocityY = 0;
+  motion.speed = 0;
+  motion.acceleration = 0;
+  lastHeading = null;
+  circlePath = [];
+  cursorEvents.emit('stop', getPointerState());
+}
+
+// Forgets the last position so the next one doesn't count the jump (finger lifted, pointer left)
+function resetPointerTrail() {
+  prevMouseX = null;
+  prevMouseY = null;
+  prevTime = null;
+  stopMotion();
+}
+
+function emitGesture(type, detail, now) {
+  if (now - lastGestureTime[type] < GESTURE_CONFIG.cooldown) return false;
+  lastGestureTime[type] = now;
+  cursorEvents.emit(type, detail);
+  return true;
+}
+
+// Shake: several quick side-to-side strokes
+function detectShake(dx, now) {
+  const direction = Math.sign(dx);
+  if (direction === 0) return;
+  if (direction === shake.direction) {
+    shake.travel += Math.abs(dx);
+    return;
+  }
+  if (shake.direction !== 0 && shake.travel >= GESTURE_CONFIG.shakeMinTravel) shake.reversals.push(now);
+  shake.direction = direction;
+  shake.travel = Math.abs(dx);
+
+  shake.reversals = shake.reversals.filter(time => now - time <= GESTURE_CONFIG.shakeWindow);
+  if (shake.reversals.length >= GESTURE_CONFIG.shakeReversals) {
+    if (emitGesture('shake', { reversals: shake.reversals.length, speed: motion.speed }, now)) shake.reversals = [];
+  }
+}
+
+// Circle: the heading turns a full revolution one way over a roughly round path
+function detectCircle(x, y, dx, dy, now) {
+  const length = Math.hypot(dx, dy);
+  if (length < 2) return;
+  const heading = Math.atan2(dy, dx);
+  let turn = 0;
+  if (lastHeading !== null) {
+    turn = heading - lastHeading;
+    if (turn > Math.PI) turn -= Math.PI * 2;
+    if (turn < -Math.PI) turn += Math.PI * 2;
+  }
+  lastHeading = heading;
+  if (Math.abs(turn) > GESTURE_CONFIG.maxTurnStep) {
+    circlePath = [];
+    return;
+  }
+
+  circlePath.push({ time: now, x, y, turn, length });
+  circlePath = circlePath.filter(point => now - point.time <= GESTURE_CONFIG.circleWindow);
+
+  const totalTurn = circlePath.reduce((sum, point) => sum + point.turn, 0);
+  if (Math.abs(totalTurn) < Math.PI * 2) return;
+  const pathLength = circlePath.reduce((sum, point) => sum + point.length, 0);
+  if (pathLength < GESTURE_CONFIG.circleMinPath) return;
+
+  const xs = circlePath.map(point => point.x);
+  const ys = circlePath.map(point => point.y);
+  const width = Math.max(...xs) - Math.min(...xs);
+  const height = Math.max(...ys) - Math.min(...ys);
+  const aspect = Math.max(width, height) / Math.max(Math.min(width, height), 1);
+  if (aspect > GESTURE_CONFIG.circleMaxAspect) return;
+
+  emitGesture('circle', {
+    // Screen y points down, so a positive turn is clockwise as seen
+    direction: totalTurn > 0 ? 'clockwise' : 'counterclockwise',
+    radius: (width + height) / 4,
+    x: Math.min(...xs) + width / 2,
+    y: Math.min(...ys) + height / 2
+  }, now);
+  circlePath = [];
+}
+
 // **Shared Pointer Move Logic**
 function handlePointerMove(x, y) {
   const currentTime = performance.now();
@@ -85,12 +310,18 @@ function handlePointerMove(x, y) {
     if (dt > 0) {
       const distance = Math.hypot(dx, dy);
       totalDistance += distance;
+      recordDistance(distance / dpi_x * METERS_PER_PIXEL_INCH);
+      updateMotion(dx, dy, dt * 1000);
+      detectShake(dx, currentTime);
+      detectCircle(x, y, dx, dy, currentTime);
     }
   }
 
   prevMouseX = x;
   prevMouseY = y;
   prevTime = currentTime;
+  markActivity('pointer');
+  emitSample('move', x, y, currentTime);
 }
 
 // **Mouse tracking – Event Handlers**
@@ -140,33 +371,78 @@ function setupEventHandlers() {
       cursorXPercent = touchX / window.innerWidth;
       cursorYPercent = touchY / window.innerHeight;
     }
+    markActivity('touch');
   });
 
-  document.addEventListener("touchend", () => {
-    // Handle touch end similar to mouseout
+  document.addEventListener("touchend", (e) => {
+    // Lifting the last finger ends the stroke
+    if (e.touches.length === 0) resetPointerTrail();
   });
 
   document.addEventListener("mouseout", (e) => {
     if (!e.relatedTarget && !e.toElement) {
-      // Consider resetting prevMouseX/Y/Time here if needed
+      motion.isInside = false;
+      resetPointerTrail();
+      cursorEvents.emit('leave');
+    }
+  });
+
+  document.addEventListener("mouseover", (e) => {
+    if (!motion.isInside && !e.relatedTarget) {
+      motion.isInside = true;
+      cursorEvents.emit('enter');
+      markActivity('pointer');
     }
   });
 
-  document.addEventListener("click", () => {
+  document.addEventListener("keydown", () => markActivity('keyboard'));
+  document.addEventListener("wheel", () => markActivity('wheel'), { passive: true });
+
+  document.addEventListener("click", (e) => {
     clickCount++;
+    recordClick();
+    markActivity('click');
+    // Keyboard-activated clicks (detail 0) have no real position
+    if (e.detail > 0) emitSample('click', e.clientX, e.clientY, performance.now());
     if (clickCounterElement) clickCounterElement.textContent = clickCount.toString();
   });
 }
 
 // **Animation loop**
 function animationLoop() {
-  ensureElementsInitialized();
-
   updateDistanceMetrics();
 
   updateDebugDisplay();
+}
 
-  requestAnimationFrame(animationLoop);
+function startAnimationLoop() {
+  if (!tickerHandle) {
+    tickerHandle = ticker.add(animationLoop, { name: 'cursorTracker' });
+  } else {
+    tickerHandle.resume();
+  }
+}
+
+function stopAnimationLoop() {
+  if (tickerHandle) tickerHandle.pause();
+}
+
+// Gates the readout loop on whichever readouts exist. Readouts can arrive with a view
+// after init, so the lookup reruns on each view change until all of them are found.
+function bindReadouts() {
+  ensureElementsInitialized();
+  const readouts = [clickCounterElement, distanceValueM, distanceValueMiles].filter(Boolean);
+  if (readouts.length === 3) document.removeEventListener(VIEW_EVENTS.AFTER_ENTER, bindReadouts);
+  if (readouts.length === gatedReadoutCount) return;
+
+  // The new gate only calls onResume, so start from paused
+  if (readoutGate) readoutGate.destroy();
+  stopAnimationLoop();
+  gatedReadoutCount = readouts.length;
+  readoutGate = createVisibilityGate(readouts, {
+    onResume: startAnimationLoop,
+    onPause: stopAnimationLoop
+  });
 }
 
 // **Initialization**
@@ -176,7 +452,14 @@ export function initcursorTracker() {
   }
 
   setupEventHandlers();
-  animationLoop();
+  onCalibrationChange(pixelsPerInch => {
+    dpi_x = pixelsPerInch || estimatedDpi;
+    updateDistanceMetrics();
+  });
+
+  // Tracking continues in the event handlers; only the readout loop pauses while no readout is visible
+  document.addEventListener(VIEW_EVENTS.AFTER_ENTER, bindReadouts);
+  bindReadouts();
 
   isInitialized = true;
 }
@@ -1,7 +1,28 @@
 /**
  * Diffusion Text Animation Module - Optimized for performance
+ * Shows static text instead of scrambling glyphs when motion is reduced (see motionPolicy.js).
  */
 
+import { createVisibilityGate } from './animationVisibility.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { prefersReducedMotion, onMotionChange } from './motionPolicy.js';
+
+/**
+ * Runs an animator only while its container is visible, restarting it
+ * when the motion policy changes so it can switch between modes.
+ * @param {DiffusionTextAnimator} animator
+ */
+function startWhenVisible(animator) {
+  const gate = createVisibilityGate(animator.container, {
+    onResume: () => animator.start(),
+    onPause: () => animator.stop()
+  });
+  onMotionChange(() => {
+    animator.stop();
+    if (gate.isVisible()) animator.start();
+  });
+}
+
 class DiffusionTextAnimator {
   constructor(options) {
     // Core configuration
@@ -24,7 +45,7 @@ class DiffusionTextAnimator {
     this.inThresholds = this.computeThresholds(this.currentText, this.totalStepsIn, true);
     this.outThresholds = [];
     this.stateStartTime = 0;
-    this.lastFrameTime = 0;
+    this.tickerHandle = null;
     
     // Pre-allocate output buffer to avoid GC
     this.outputBuffer = new Array(this.currentText.length);
@@ -74,18 +95,10 @@ class DiffusionTextAnimator {
     }
   }
   
-  // Main animation frame handler
+  // Main animation frame handler - the shared ticker enforces the frame rate limit
   update(timestamp) {
     if (!this.isRunning) return;
     
-    // Enforce frame rate limit
-    if (!this.lastFrameTime) this.lastFrameTime = timestamp;
-    if (timestamp - this.lastFrameTime < this.frameInterval) {
-      requestAnimationFrame(this.update);
-      return;
-    }
-    this.lastFrameTime = timestamp;
-    
     // State machine
     switch (this.currentState) {
       case this.STATES.IN:
@@ -124,8 +137,6 @@ class DiffusionTextAnimator {
         }
         break;
     }
-    
-    requestAnimationFrame(this.update);
   }
   
   // Update diffusion-in state
@@ -166,17 +177,38 @@ class DiffusionTextAnimator {
     this.container.textContent = buffer.join('');
   }
   
+  // Reduced motion: show the current text, fully legible, without animating
+  showStatic() {
+    this.currentState = this.STATES.IN;
+    this.stepCount = 0;
+    this.inThresholds = this.computeThresholds(this.currentText, this.totalStepsIn, true);
+    this.container.textContent = this.currentText;
+  }
+  
   // Start animation
   start() {
+    if (prefersReducedMotion()) {
+      this.showStatic();
+      return;
+    }
     if (!this.isRunning) {
       this.isRunning = true;
-      requestAnimationFrame(this.update);
+      // Look up this.update on every frame so wrappers installed later (see author sync) still apply
+      this.tickerHandle = ticker.add(timestamp => this.update(timestamp), {
+        fps: 1000 / this.frameInterval,
+        priority: PRIORITY.LOW,
+        name: 'diffusionText'
+      });
     }
   }
   
   // Stop animation
   stop() {
     this.isRunning = false;
+    if (this.tickerHandle) {
+      this.tickerHandle.remove();
+      this.tickerHandle = null;
+    }
   }
 }
 
@@ -244,7 +276,7 @@ export function initDiffusionText() {
       letterPool: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()+-=[]{}|;:,.<>/*‚·°‡›‹¬∆ƒ∂πø¥†®∑ */?/~`",
       container: textContainer
     });
-    textAnimator.start();
+    startWhenVisible(textAnimator);
   }
 
   // If author container exists, create and start the author animator
@@ -279,7 +311,7 @@ export function initDiffusionText() {
       }
     };
     
-    authorAnimator.start();
+    startWhenVisible(authorAnimator);
   }
 
   // --- New Skills Animator ---
@@ -307,7 +339,7 @@ export function initDiffusionText() {
       letterPool: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()+-=[]{}|;:,.<>/*‚·°‡›‹¬∆ƒ∂πø¥†®∑ */?/~`",
       container: skillsContainer
     });
-    skillsAnimator.start();
+    startWhenVisible(skillsAnimator);
   } else {
     console.warn("No element with ID 'diffusion-text-skills' found. Skills diffusion text animation not initialized.");
   }
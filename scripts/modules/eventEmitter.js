@@ -0,0 +1,78 @@
+/**
+ * Event Emitter Module
+ * --------------------
+ * The small event emitter shared by modules that publish changes (scrollTracker.js,
+ * cursorTracker.js, visitorStats.js, screenCalibration.js, pointerHeatmap.js).
+ *
+ * - on() returns an unsubscribe function, so callers don't need to keep the listener around
+ * - A listener that throws is logged under the emitter's name and doesn't stop the others
+ *
+ * Usage:
+ *   const events = new EventEmitter('visitorStats');
+ *   const unsubscribe = events.on('change', stats => ...);
+ *   events.emit('change', stats);
+ *
+ *   class ScrollTracker extends EventEmitter { constructor() { super('scrollTracker'); } }
+ */
+
+export class EventEmitter {
+  #name;
+  #listeners = new Map(); // event -> Set of listeners
+
+  /**
+   * @param {string} [name='eventEmitter'] - Log prefix for listener errors
+   */
+  constructor(name = 'eventEmitter') {
+    this.#name = name;
+  }
+
+  /**
+   * Subscribes to an event.
+   * @param {string} event
+   * @param {Function} fn - Called with the emitted arguments
+   * @returns {Function} - Unsubscribe function
+   */
+  on(event, fn) {
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(fn);
+    return () => this.off(event, fn);
+  }
+
+  /**
+   * Unsubscribes a listener added with on().
+   * @param {string} event
+   * @param {Function} fn
+   */
+  off(event, fn) {
+    const listeners = this.#listeners.get(event);
+    if (listeners) listeners.delete(fn);
+  }
+
+  /**
+   * Whether anything is listening, so callers can skip building an expensive payload.
+   * @param {string} event
+   * @returns {boolean}
+   */
+  hasListeners(event) {
+    const listeners = this.#listeners.get(event);
+    return Boolean(listeners && listeners.size);
+  }
+
+  /**
+   * Calls every listener of an event.
+   * @param {string} event
+   * @param {...*} args
+   */
+  emit(event, ...args) {
+    const listeners = this.#listeners.get(event);
+    if (!listeners) return;
+    // Copy, since listeners may unsubscribe while being called
+    for (const fn of [...listeners]) {
+      try {
+        fn(...args);
+      } catch (error) {
+        console.error(`[${this.#name}] Error in ${event} listener:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Generative Ambient Module
+ * --------------------
+ * Procedural ambient soundscape that plays alongside the file-based ambience loop.
+ *
+ * The soundscape is built from:
+ * - A few drone oscillators whose pitches glide to a new voicing every so often
+ * - Band-passed noise, like air moving through the ship
+ * - Slow LFOs on pitch, filter and level, so nothing ever sits still
+ *
+ * Each view has a mood (root note, intervals, brightness, amount of noise); the
+ * soundscape drifts to the new mood when buttonToggle.js brings a view in. It also
+ * slowly crossfades against the file-based ambience, so the MP3 loop point is
+ * never heard in the same way twice.
+ *
+ * Usage (see setupAmbient in sounds.js):
+ *   const generative = createGenerativeAmbient(audioContext, { fileGain });
+ *   generative.output.connect(ambientGainNode);
+ *   generative.start();
+ *   generative.setIntensity(speedRatio); // 0-1, e.g. from scroll speed
+ */
+
+import { VIEW_EVENTS, getActiveViewId } from './buttonToggle.js';
+
+const VOICE_TYPES = ['sine', 'triangle', 'sine', 'sine'];
+const GLIDE_TIME = 4;       // Time constant (s) for pitch and filter glides
+const PHRASE_MIN_MS = 10000; // Shortest time before the drone picks a new voicing
+const PHRASE_MAX_MS = 20000;
+
+// Per-view moods; intervals are ratios of the root
+const VIEW_MOODS = {
+  'home-view': { root: 55, intervals: [1, 1.5, 2, 3], brightness: 600, noise: 0.25 },
+  'portfolio-view': { root: 65.41, intervals: [1, 1.25, 1.5, 2], brightness: 900, noise: 0.2 },
+  'contact-view': { root: 49, intervals: [1, 1.2, 1.5, 2], brightness: 450, noise: 0.3 },
+  'game-view': { root: 73.42, intervals: [1, 1.5, 2.25, 3], brightness: 1400, noise: 0.35 }
+};
+const DEFAULT_MOOD = VIEW_MOODS['home-view'];
+
+/**
+ * Returns a random number between min and max.
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Creates a slow LFO that modulates an AudioParam around its current value.
+ * @param {AudioContext} audioContext
+ * @param {AudioParam} param - The parameter to modulate
+ * @param {number} frequency - LFO rate in Hz
+ * @param {number} depth - Modulation depth in the parameter's units
+ * @returns {{oscillator: OscillatorNode, depthNode: GainNode}}
+ */
+function createLfo(audioContext, param, frequency, depth) {
+  const oscillator = audioContext.createOscillator();
+  oscillator.frequency.value = frequency;
+  const depthNode = audioContext.createGain();
+  depthNode.gain.value = depth;
+  oscillator.connect(depthNode);
+  depthNode.connect(param);
+  return { oscillator, depthNode };
+}
+
+/**
+ * Creates a looping white noise source.
+ * @param {AudioContext} audioContext
+ * @returns {AudioBufferSourceNode}
+ */
+function createNoiseSource(audioContext) {
+  const buffer = audioContext.createBuffer(1, audioContext.sampleRate * 4, audioContext.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.random() * 2 - 1;
+  }
+  const source = audioContext.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  return source;
+}
+
+/**
+ * Builds the generative ambient graph.
+ * @param {AudioContext} audioContext
+ * @param {Object} [options]
+ * @param {GainNode} [options.fileGain] - Gain node of the file-based ambience to crossfade against
+ * @param {number} [options.level=0.25] - Overall level of the generative layer
+ * @param {number} [options.crossfadeTime=12] - Seconds each crossfade takes
+ * @param {number} [options.crossfadeInterval=30000] - Average ms between crossfades
+ * @param {number} [options.minBlend=0.3] - Least generative share of the mix (0 = file only, 1 = generative only)
+ * @returns {{output: GainNode, start: Function, stop: Function, setIntensity: Function, setView: Function}}
+ */
+export function createGenerativeAmbient(audioContext, {
+  fileGain = null,
+  level = 0.25,
+  crossfadeTime = 12,
+  crossfadeInterval = 30000,
+  minBlend = 0.3
+} = {}) {
+  // output carries the crossfade share; levelNode sets the layer's overall loudness
+  const output = audioContext.createGain();
+  output.gain.value = 0;
+  const levelNode = audioContext.createGain();
+  levelNode.gain.value = level;
+  levelNode.connect(output);
+
+  const filter = audioContext.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.Q.value = 0.8;
+  filter.connect(levelNode);
+
+  const voices = VOICE_TYPES.map((type, index) => {
+    const oscillator = audioContext.createOscillator();
+    oscillator.type = type;
+    const gainNode = audioContext.createGain();
+    gainNode.gain.value = 0.2;
+    oscillator.connect(gainNode);
+    gainNode.connect(filter);
+    // Each voice breathes and drifts at its own slow rate
+    const levelLfo = createLfo(audioContext, gainNode.gain, randomBetween(0.02, 0.08), 0.04);
+    const detuneLfo = createLfo(audioContext, oscillator.detune, randomBetween(0.03, 0.07), 6 + index * 2);
+    return { oscillator, gainNode, lfos: [levelLfo, detuneLfo] };
+  });
+
+  const noiseSource = createNoiseSource(audioContext);
+  const noiseFilter = audioContext.createBiquadFilter();
+  noiseFilter.type = 'bandpass';
+  noiseFilter.frequency.value = 800;
+  noiseFilter.Q.value = 1.5;
+  const noiseGain = audioContext.createGain();
+  noiseGain.gain.value = 0;
+  noiseSource.connect(noiseFilter);
+  noiseFilter.connect(noiseGain);
+  noiseGain.connect(levelNode);
+
+  const globalLfos = [
+    createLfo(audioContext, filter.frequency, 0.013, 150),
+    createLfo(audioContext, noiseFilter.frequency, 0.031, 300)
+  ];
+
+  let mood = DEFAULT_MOOD;
+  let intensity = 0;
+  // Real timeouts rather than ticker.after(), which stops with the frame loop in background tabs
+  let phraseTimeout = null;
+  let crossfadeTimeout = null;
+  let isRunning = false;
+
+  // Picks a new voicing from the current mood and glides to it
+  function playPhrase() {
+    const now = audioContext.currentTime;
+    voices.forEach((voice, index) => {
+      const interval = index === 0 ? 1 : mood.intervals[Math.floor(Math.random() * mood.intervals.length)];
+      const octave = index > 1 && Math.random() < 0.3 ? 2 : 1;
+      voice.oscillator.frequency.setTargetAtTime(mood.root * interval * octave, now, GLIDE_TIME);
+      voice.gainNode.gain.setTargetAtTime(randomBetween(0.1, 0.25) / (index + 1), now, GLIDE_TIME);
+    });
+    phraseTimeout = setTimeout(playPhrase, randomBetween(PHRASE_MIN_MS, PHRASE_MAX_MS));
+  }
+
+  // Equal-power crossfade to a new random share between the file loop and this layer
+  function crossfade() {
+    const blend = randomBetween(minBlend, 1);
+    const now = audioContext.currentTime;
+    const timeConstant = crossfadeTime / 3; // setTargetAtTime reaches ~95% after 3 time constants
+    output.gain.setTargetAtTime(Math.sin(blend * Math.PI / 2), now, timeConstant);
+    if (fileGain) fileGain.gain.setTargetAtTime(Math.cos(blend * Math.PI / 2), now, timeConstant);
+    crossfadeTimeout = setTimeout(crossfade, crossfadeInterval * randomBetween(0.7, 1.3));
+  }
+
+  // Moves brightness and noise to match the mood and current intensity
+  function updateTone() {
+    const now = audioContext.currentTime;
+    filter.frequency.setTargetAtTime(mood.brightness * (1 + intensity * 3), now, GLIDE_TIME / 4);
+    noiseGain.gain.setTargetAtTime(mood.noise * (0.3 + intensity * 0.7), now, GLIDE_TIME / 4);
+  }
+
+  function handleViewEnter(event) {
+    setView(event.detail.viewId);
+  }
+
+  /**
+   * Drifts the soundscape to a view's mood.
+   * @param {string} viewId
+   */
+  function setView(viewId) {
+    const nextMood = VIEW_MOODS[viewId] || DEFAULT_MOOD;
+    if (nextMood === mood) return;
+    mood = nextMood;
+    if (!isRunning) return;
+    updateTone();
+    // Start the new mood's first phrase now rather than waiting for the current one to end
+    clearTimeout(phraseTimeout);
+    playPhrase();
+  }
+
+  /**
+   * Opens the filter and brings up the noise as intensity rises.
+   * @param {number} value - 0 to 1
+   */
+  function setIntensity(value) {
+    const next = Math.min(Math.max(value, 0), 1);
+    if (Math.abs(next - intensity) < 0.01) return;
+    intensity = next;
+    if (isRunning) updateTone();
+  }
+
+  function start() {
+    if (isRunning) return;
+    isRunning = true;
+
+    mood = VIEW_MOODS[getActiveViewId()] || DEFAULT_MOOD;
+    voices.forEach(voice => {
+      voice.oscillator.frequency.value = mood.root;
+      voice.oscillator.start();
+      voice.lfos.forEach(lfo => lfo.oscillator.start());
+    });
+    globalLfos.forEach(lfo => lfo.oscillator.start());
+    noiseSource.start();
+
+    document.addEventListener(VIEW_EVENTS.BEFORE_ENTER, handleViewEnter);
+    updateTone();
+    playPhrase();
+    crossfade();
+    console.log(`[generativeAmbient] Started with ${VOICE_TYPES.length} voices`);
+  }
+
+  function stop() {
+    if (!isRunning) return;
+    isRunning = false;
+
+    document.removeEventListener(VIEW_EVENTS.BEFORE_ENTER, handleViewEnter);
+    clearTimeout(phraseTimeout);
+    clearTimeout(crossfadeTimeout);
+
+    const oscillators = [
+      ...voices.flatMap(voice => [voice.oscillator, ...voice.lfos.map(lfo => lfo.oscillator)]),
+      ...globalLfos.map(lfo => lfo.oscillator),
+      noiseSource
+    ];
+    oscillators.forEach(node => {
+      try {
+        node.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    output.disconnect();
+    if (fileGain) fileGain.gain.setTargetAtTime(1, audioContext.currentTime, 0.5);
+  }
+
+  return { output, start, stop, setIntensity, setView };
+}
@@ -1,4 +1,10 @@
 // This module applies/removes an Interference effect that simulates sporadic widget flickering
+import { audioAnalyser } from './audioAnalyser.js';
+import { prefersReducedMotion } from './motionPolicy.js';
+
+const PULSE_CLASS = 'widget-interference-pulse';
+const PULSE_MIN_STRENGTH = 0.5; // Only strong onsets in the sound glitch a widget
+
 export function applyInterference(widget) {
     const fixedDuration = 3; // seconds for interference animation
     widget.style.setProperty('--interference-duration', `${fixedDuration}s`);
@@ -11,8 +17,24 @@ export function removeInterference(widget) {
     widget.classList.remove('widget-interference');
 }
 
+// Plays the interference animation once on a widget, e.g. on a beat in the sound
+export function pulseInterference(widget) {
+    if (widget.classList.contains(PULSE_CLASS)) return;
+    widget.classList.add(PULSE_CLASS);
+    widget.addEventListener('animationend', () => widget.classList.remove(PULSE_CLASS), { once: true });
+}
+
+// Glitches a random widget in the visible view on strong onsets in the sound
+function handleOnset(strength) {
+    if (strength < PULSE_MIN_STRENGTH || prefersReducedMotion()) return;
+    const widgets = document.querySelectorAll('.view--active .widget:not(.widget-hidden):not(.widget-intro):not(.widget-outro):not(.widget-interference)');
+    if (!widgets.length) return;
+    pulseInterference(widgets[Math.floor(Math.random() * widgets.length)]);
+}
+
 // New centralized initialization function for interference
 export function initInterference() {
     console.log('Interference module initialized');
     // Optionally, set default CSS variables on :root if needed.
+    audioAnalyser.onOnset(handleOnset);
 }
@@ -1,3 +1,8 @@
+import { createVisibilityGate } from './animationVisibility.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { prefersReducedMotion } from './motionPolicy.js';
+import { audioAnalyser } from './audioAnalyser.js';
+
 export function initLightGrid(selector = '.light-grid') {
   console.log('%c[LightGrid.js] initLightGrid FUNCTION CALLED', 'color: #00ff00; font-weight: bold;');
 
@@ -15,6 +20,11 @@ export function initLightGrid(selector = '.light-grid') {
   const minOpacity = 0.15;    // Base opacity for "off" or dim state
   const maxOpacity = 0.9;     // Opacity for "on" state
 
+  // Audio reaction (see audioAnalyser.js)
+  const AUDIO_GLOW = 0.35;       // How far the low end lifts "off" dots towards "on"
+  const ONSET_WAKE_CHANCE = 0.08; // Chance per "off" dot of switching on at a full-strength onset
+  let pendingOnset = 0;          // Strongest onset since the last frame
+
   class Grid {
     constructor(container) {
       this.container = container;
@@ -49,6 +59,19 @@ export function initLightGrid(selector = '.light-grid') {
       } else {
         window.addEventListener('resize', () => this.setup());
       }
+
+      // Only draw while the grid can actually be seen (view shown, in viewport, tab visible)
+      this.isVisible = false;
+      this.visibilityGate = createVisibilityGate(this.container, {
+        onResume: () => {
+          this.isVisible = true;
+          this.lastTimestamp = performance.now(); // Avoid a huge deltaTime after a pause
+          ensureAnimationLoop();
+        },
+        onPause: () => {
+          this.isVisible = false;
+        }
+      });
     }
 
     setup() {
@@ -108,7 +131,11 @@ export function initLightGrid(selector = '.light-grid') {
       console.log(`%c[LightGrid.js Grid Instance] Setup complete for ${this.container.id || '(no ID)'}. Dots: ${this.dots.length}`, 'color: #7f00ff;');
     }
 
-    draw(timestamp) {
+    /**
+     * @param {number} timestamp - Frame timestamp from the shared ticker
+     * @param {{glow: number, onset: number}} audio - Audio reaction for this frame, 0 to 1 each
+     */
+    draw(timestamp, audio) {
       if (!this.ctx || this.canvas.style.display === 'none') {
         return;
       }
@@ -125,15 +152,19 @@ export function initLightGrid(selector = '.light-grid') {
       const h = this.canvas.height / (window.devicePixelRatio || 1);
       this.ctx.clearRect(0, 0, w, h);
 
+      // Reduced motion keeps the slow on/off cycle but drops the rapid flicker
+      const allowFlicker = !prefersReducedMotion();
+      const offOpacity = minOpacity + (maxOpacity - minOpacity) * AUDIO_GLOW * audio.glow;
+
       for (const dot of this.dots) {
         dot.timeInCurrentState += deltaTime;
-        let currentDotOpacity = dot.isCurrentlyOn ? maxOpacity : minOpacity;
+        let currentDotOpacity = dot.isCurrentlyOn ? maxOpacity : offOpacity;
 
         if (dot.isFlickering) {
-          if (timestamp >= dot.flickerEndTime) {
+          if (timestamp >= dot.flickerEndTime || !allowFlicker) {
             dot.isFlickering = false;
             // Ensure it settles into its intended state post-flicker
-            currentDotOpacity = dot.isCurrentlyOn ? maxOpacity : minOpacity;
+            currentDotOpacity = dot.isCurrentlyOn ? maxOpacity : offOpacity;
           } else {
             if (timestamp >= dot.flickerNextToggleTime) {
               dot.flickerIsCurrentlyOn = !dot.flickerIsCurrentlyOn;
@@ -147,10 +178,10 @@ export function initLightGrid(selector = '.light-grid') {
               dot.isCurrentlyOn = false;
               dot.timeInCurrentState = 0;
               dot.offDuration = MIN_OFF_DURATION_MS + Math.random() * (MAX_OFF_DURATION_MS - MIN_OFF_DURATION_MS);
-              currentDotOpacity = minOpacity;
+              currentDotOpacity = offOpacity;
             } else {
               // Chance to start flickering while on
-              if (Math.random() < FLICKER_PER_FRAME_CHANCE) {
+              if (allowFlicker && Math.random() < FLICKER_PER_FRAME_CHANCE) {
                 dot.isFlickering = true;
                 dot.flickerEndTime = timestamp + FLICKER_DURATION_MS;
                 dot.flickerNextToggleTime = timestamp; // Start flicker immediately
@@ -158,7 +189,9 @@ export function initLightGrid(selector = '.light-grid') {
               }
             }
           } else { // Currently off
-            if (dot.timeInCurrentState >= dot.offDuration) {
+            // An onset in the sound switches some dots on early
+            const wokenByOnset = audio.onset > 0 && Math.random() < ONSET_WAKE_CHANCE * audio.onset;
+            if (dot.timeInCurrentState >= dot.offDuration || wokenByOnset) {
               dot.isCurrentlyOn = true;
               dot.timeInCurrentState = 0;
               dot.onDuration = MIN_ON_DURATION_MS + Math.random() * (MAX_ON_DURATION_MS - MIN_ON_DURATION_MS);
@@ -179,6 +212,9 @@ export function initLightGrid(selector = '.light-grid') {
     }
 
     destroy() {
+      if (this.visibilityGate) {
+        this.visibilityGate.destroy();
+      }
       if (this.resizeObserver) {
         this.resizeObserver.disconnect();
       }
@@ -204,21 +240,50 @@ export function initLightGrid(selector = '.light-grid') {
         window.lightGridInstances.forEach(grid => grid.destroy());
     }
     
+    if (window.lightGridTickerHandle) {
+        window.lightGridTickerHandle.remove();
+        window.lightGridTickerHandle = null;
+    }
+
+    // Grids start the loop themselves as soon as one of them is visible
     window.lightGridInstances = Array.from(containers).map(container => new Grid(container));
+  };
+
+  // Onsets arrive between frames; the next frame picks up the strongest one
+  audioAnalyser.onOnset(strength => {
+    pendingOnset = Math.max(pendingOnset, strength);
+  });
 
-    let animFrameId;
-    function animateLoop(ts) { // ts is timestamp from requestAnimationFrame
-      window.lightGridInstances.forEach(grid => grid.draw(ts));
-      animFrameId = requestAnimationFrame(animateLoop);
+  // Shared ticker callback for all grids; pauses itself once no grid is visible
+  function animateLoop(ts) { // ts is the frame timestamp from the shared ticker
+    const visibleGrids = window.lightGridInstances.filter(grid => grid.isVisible);
+    if (!visibleGrids.length) {
+      window.lightGridTickerHandle.pause();
+      console.log('%c[LightGrid.js] No visible grids, animation loop paused.', 'color: #00ccff;');
+      return;
     }
-    
-    if (window.lightGridGlobalAnimationId) {
-        cancelAnimationFrame(window.lightGridGlobalAnimationId);
+
+    // Reduced motion keeps the grid's own rhythm and ignores the sound
+    const levels = audioAnalyser.getLevels();
+    const audio = prefersReducedMotion() ?
+      { glow: 0, onset: 0 } :
+      { glow: Math.max(levels.sub, levels.low), onset: pendingOnset };
+    pendingOnset = 0;
+
+    visibleGrids.forEach(grid => grid.draw(ts, audio));
+  }
+
+  function ensureAnimationLoop() {
+    if (!window.lightGridTickerHandle) {
+      // Decorative, so it's among the first things slowed down under load
+      window.lightGridTickerHandle = ticker.add(animateLoop, { priority: PRIORITY.LOW, name: 'lightGrid' });
+    } else if (window.lightGridTickerHandle.isPaused()) {
+      window.lightGridTickerHandle.resume();
+    } else {
+      return;
     }
-    animFrameId = requestAnimationFrame(animateLoop);
-    window.lightGridGlobalAnimationId = animFrameId;
-    console.log(`%c[LightGrid.js] Animation loop started. Global ID: ${window.lightGridGlobalAnimationId}`, 'color: #00ccff;');
-  };
+    console.log('%c[LightGrid.js] Animation loop started on the shared ticker.', 'color: #00ccff;');
+  }
 
   if (document.readyState === 'loading') {
     console.log('%c[LightGrid.js] DOM loading, deferring init.', 'color: #ff9900;');
@@ -0,0 +1,167 @@
+/**
+ * Motion Policy Module
+ * --------------------
+ * Single source of truth for whether the site should animate at full motion.
+ *
+ * The policy follows the system `prefers-reduced-motion` setting unless the visitor
+ * has chosen otherwise with an on-page toggle; that choice is kept in localStorage.
+ * Modules consult prefersReducedMotion() and switch to calm alternatives, and can
+ * subscribe with onMotionChange() to react when the setting changes at runtime.
+ *
+ * Toggle markup: any element with a `data-motion-toggle` attribute, e.g.
+ *   <button data-motion-toggle>Reduce motion</button>
+ * Its aria-pressed state reflects whether motion is reduced.
+ *
+ * While motion is reduced, `<html>` has the `reduced-motion` class so CSS can
+ * turn off decorative keyframe animations.
+ */
+
+const STORAGE_KEY = 'motion-preference'; // 'reduce' | 'full'; absent = follow the system
+const REDUCED_CLASS = 'reduced-motion';
+const TOGGLE_SELECTOR = '[data-motion-toggle]';
+
+const mediaQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+const listeners = new Set();
+let isInitialized = false;
+let lastReduced = null;
+
+// Storage can throw (private mode, sandboxed iframes)
+function readOverride() {
+  try {
+    const value = window.localStorage.getItem(STORAGE_KEY);
+    return value === 'reduce' || value === 'full' ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cached, since prefersReducedMotion() is called from animation loops; kept current
+// by setMotionOverride(), the storage event and applyPolicy()
+let override = readOverride();
+let reduced = resolvePolicy();
+
+function resolvePolicy() {
+  if (override) return override === 'reduce';
+  return systemPrefersReducedMotion();
+}
+
+/**
+ * The on-page override, as persisted.
+ * @returns {'reduce'|'full'|null}
+ */
+export function getMotionOverride() {
+  return override;
+}
+
+/**
+ * Whether the operating system asks for reduced motion.
+ * @returns {boolean}
+ */
+export function systemPrefersReducedMotion() {
+  return Boolean(mediaQuery && mediaQuery.matches);
+}
+
+/**
+ * Whether animations should currently use their calm alternative.
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return reduced;
+}
+
+/**
+ * Sets (or clears) the on-page override and notifies listeners.
+ * @param {'reduce'|'full'|null} value - null to follow the system setting again
+ */
+export function setMotionOverride(value) {
+  override = value === 'reduce' || value === 'full' ? value : null;
+  try {
+    if (value === 'reduce' || value === 'full') {
+      window.localStorage.setItem(STORAGE_KEY, value);
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('[motionPolicy] Could not persist motion preference:', error);
+  }
+  console.log(`[motionPolicy] Override ${value ? `set to "${value}"` : 'cleared, following system setting'}`);
+  applyPolicy();
+}
+
+/**
+ * Flips between reduced and full motion. If the result matches the system
+ * setting, the override is cleared so future system changes apply again.
+ */
+export function toggleReducedMotion() {
+  const reduce = !prefersReducedMotion();
+  setMotionOverride(reduce === systemPrefersReducedMotion() ? null : (reduce ? 'reduce' : 'full'));
+}
+
+/**
+ * Subscribes to policy changes.
+ * @param {Function} listener - Called with `true` when motion becomes reduced, `false` when restored
+ * @returns {Function} - Unsubscribe function
+ */
+export function onMotionChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Applies the current policy to the document and toggles, and notifies listeners if it changed.
+ */
+function applyPolicy() {
+  reduced = resolvePolicy();
+
+  document.documentElement.classList.toggle(REDUCED_CLASS, reduced);
+  document.querySelectorAll(TOGGLE_SELECTOR).forEach(toggle => {
+    toggle.setAttribute('aria-pressed', String(reduced));
+  });
+
+  if (reduced === lastReduced) return;
+  lastReduced = reduced;
+
+  listeners.forEach(listener => {
+    try {
+      listener(reduced);
+    } catch (error) {
+      console.error('[motionPolicy] Error in motion change listener:', error);
+    }
+  });
+}
+
+/**
+ * Wires up the system setting, storage changes from other tabs and the on-page toggles.
+ * Safe to call more than once.
+ */
+export function initMotionPolicy() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  if (mediaQuery) {
+    // Safari before 14 only has the older addListener()
+    if (typeof mediaQuery.addEventListener === 'function') {
+      mediaQuery.addEventListener('change', applyPolicy);
+    } else if (typeof mediaQuery.addListener === 'function') {
+      mediaQuery.addListener(applyPolicy);
+    }
+  }
+
+  // Keep tabs in sync when the override changes elsewhere
+  window.addEventListener('storage', event => {
+    if (event.key !== STORAGE_KEY) return;
+    override = readOverride();
+    applyPolicy();
+  });
+
+  document.addEventListener('click', event => {
+    const toggle = event.target.closest(TOGGLE_SELECTOR);
+    if (!toggle) return;
+    event.preventDefault();
+    toggleReducedMotion();
+  });
+
+  applyPolicy();
+  console.log(`[motionPolicy] Initialized (${lastReduced ? 'reduced' : 'full'} motion${getMotionOverride() ? ', on-page override' : ''})`);
+}
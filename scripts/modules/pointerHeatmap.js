@@ -0,0 +1,270 @@
+/**
+ * Pointer Heatmap Module
+ * --------------------
+ * Opt-in overlay that shows where the pointer has been this session.
+ *
+ * This module:
+ * - Records pointer samples and clicks from cursorTracker.js, per view
+ * - Draws them on a full-screen canvas as a heatmap or a fading trail
+ * - Toggles with Shift+H: off -> heatmap -> trail -> off
+ *
+ * Positions are stored as fractions of the viewport so the overlay still lines up
+ * after a resize, and tagged with the active view so each view shows its own map.
+ * Nothing leaves the page and nothing is kept after the session.
+ */
+
+import { onPointerSample } from './cursorTracker.js';
+import { getActiveViewId, VIEW_EVENTS } from './buttonToggle.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { EventEmitter } from './eventEmitter.js';
+
+export const MODES = ['off', 'heatmap', 'trail'];
+
+const TOGGLE_KEY = 'h'; // With Shift; matched on the character, so it follows the keyboard layout
+const MAX_SAMPLES = 20000; // Oldest samples are dropped beyond this
+const MIN_SAMPLE_SPACING = 4; // px; closer moves add nothing to the picture
+
+const HEATMAP_CONFIG = {
+  cellSize: 24,   // px per heat cell
+  radius: 1.4,    // Blob radius as a multiple of cellSize
+  maxAlpha: 0.6,
+  fps: 10
+};
+
+const TRAIL_CONFIG = {
+  lifetime: 4000, // ms before a point has faded out
+  lineWidth: 3,
+  clickLifetime: 6000,
+  fps: 60
+};
+
+// Session samples: { x, y } as 0-1 fractions of the viewport, plus time, view and type
+const samples = [];
+let lastMove = null;
+
+let mode = 'off';
+let canvas = null;
+let context = null;
+let renderHandle = null;
+let isInitialized = false;
+const events = new EventEmitter('pointerHeatmap');
+
+function recordSample({ type, x, y, time }) {
+  if (type === 'move' && lastMove && Math.hypot(x - lastMove.x, y - lastMove.y) < MIN_SAMPLE_SPACING) return;
+  if (type === 'move') lastMove = { x, y };
+
+  samples.push({
+    type,
+    x: x / window.innerWidth,
+    y: y / window.innerHeight,
+    time,
+    view: getActiveViewId()
+  });
+  if (samples.length > MAX_SAMPLES) samples.splice(0, samples.length - MAX_SAMPLES);
+}
+
+function ensureCanvas() {
+  if (canvas) return;
+  canvas = document.createElement('canvas');
+  canvas.className = 'pointer-heatmap';
+  canvas.setAttribute('aria-hidden', 'true');
+  document.body.appendChild(canvas);
+  context = canvas.getContext('2d');
+  resizeCanvas();
+  window.addEventListener('resize', resizeCanvas);
+}
+
+function resizeCanvas() {
+  if (!canvas) return;
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(window.innerWidth * ratio);
+  canvas.height = Math.round(window.innerHeight * ratio);
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  if (mode !== 'off') render(performance.now());
+}
+
+// Samples on the view being looked at
+function getViewSamples() {
+  const view = getActiveViewId();
+  return samples.filter(sample => sample.view === view);
+}
+
+// Blue (cold) to red (hot)
+function heatColor(intensity, alpha) {
+  const hue = 240 * (1 - intensity);
+  return `hsla(${hue}, 100%, 50%, ${alpha})`;
+}
+
+function renderHeatmap(width, height) {
+  const { cellSize, radius, maxAlpha } = HEATMAP_CONFIG;
+  const columns = Math.ceil(width / cellSize);
+  const cells = new Map(); // cell index -> count
+  const clicks = [];
+  let max = 0;
+
+  getViewSamples().forEach(sample => {
+    if (sample.type === 'click') {
+      clicks.push(sample);
+      return;
+    }
+    const index = Math.floor(sample.y * height / cellSize) * columns + Math.floor(sample.x * width / cellSize);
+    const count = (cells.get(index) || 0) + 1;
+    cells.set(index, count);
+    max = Math.max(max, count);
+  });
+
+  cells.forEach((count, index) => {
+    const intensity = Math.sqrt(count / max); // sqrt so lightly visited areas still show
+    const x = (index % columns + 0.5) * cellSize;
+    const y = (Math.floor(index / columns) + 0.5) * cellSize;
+    const gradient = context.createRadialGradient(x, y, 0, x, y, cellSize * radius);
+    gradient.addColorStop(0, heatColor(intensity, maxAlpha * intensity));
+    gradient.addColorStop(1, heatColor(intensity, 0));
+    context.fillStyle = gradient;
+    context.fillRect(x - cellSize * radius, y - cellSize * radius, cellSize * radius * 2, cellSize * radius * 2);
+  });
+
+  // Clicks as crosshairs
+  context.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  context.lineWidth = 1.5;
+  clicks.forEach(sample => {
+    const x = sample.x * width;
+    const y = sample.y * height;
+    context.beginPath();
+    context.moveTo(x - 6, y);
+    context.lineTo(x + 6, y);
+    context.moveTo(x, y - 6);
+    context.lineTo(x, y + 6);
+    context.stroke();
+  });
+}
+
+function renderTrail(width, height, now) {
+  const { lifetime, lineWidth, clickLifetime } = TRAIL_CONFIG;
+  const recent = getViewSamples().filter(sample => now - sample.time < Math.max(lifetime, clickLifetime));
+  let previous = null;
+
+  context.lineCap = 'round';
+  context.lineWidth = lineWidth;
+  recent.forEach(sample => {
+    const age = now - sample.time;
+    const x = sample.x * width;
+    const y = sample.y * height;
+
+    if (sample.type === 'click') {
+      const progress = age / clickLifetime;
+      context.strokeStyle = heatColor(1, 1 - progress);
+      context.beginPath();
+      context.arc(x, y, 6 + progress * 24, 0, Math.PI * 2);
+      context.stroke();
+      return;
+    }
+
+    // Segments fade with age; large time gaps aren't joined
+    if (previous && age < lifetime && sample.time - previous.time < 200) {
+      context.strokeStyle = heatColor(1 - age / lifetime, 1 - age / lifetime);
+      context.beginPath();
+      context.moveTo(previous.x * width, previous.y * height);
+      context.lineTo(x, y);
+      context.stroke();
+    }
+    previous = sample;
+  });
+}
+
+function render(now) {
+  if (!context) return;
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  context.clearRect(0, 0, width, height);
+  if (mode === 'heatmap') renderHeatmap(width, height);
+  if (mode === 'trail') renderTrail(width, height, now);
+}
+
+/**
+ * The overlay's current mode.
+ * @returns {string} - One of MODES
+ */
+export function getHeatmapMode() {
+  return mode;
+}
+
+/**
+ * Shows the overlay in a mode, or hides it with 'off'.
+ * @param {string} nextMode - One of MODES
+ */
+export function setHeatmapMode(nextMode) {
+  if (!MODES.includes(nextMode) || nextMode === mode) return;
+  mode = nextMode;
+
+  if (mode === 'off') {
+    if (renderHandle) renderHandle.pause();
+    if (context) context.clearRect(0, 0, window.innerWidth, window.innerHeight);
+    if (canvas) canvas.hidden = true;
+  } else {
+    ensureCanvas();
+    canvas.hidden = false;
+    const fps = mode === 'heatmap' ? HEATMAP_CONFIG.fps : TRAIL_CONFIG.fps;
+    if (!renderHandle) {
+      renderHandle = ticker.add(render, { fps, priority: PRIORITY.LOW, name: 'pointerHeatmap' });
+    } else {
+      renderHandle.setFps(fps);
+      renderHandle.resume();
+    }
+    render(performance.now());
+  }
+
+  console.log(`[pointerHeatmap] Overlay ${mode} (${samples.length} samples this session)`);
+  events.emit('modechange', mode);
+}
+
+/**
+ * Steps through the modes: off -> heatmap -> trail -> off.
+ */
+export function cycleHeatmapMode() {
+  setHeatmapMode(MODES[(MODES.indexOf(mode) + 1) % MODES.length]);
+}
+
+/**
+ * Subscribes to mode changes.
+ * @param {Function} listener - Called with the new mode
+ * @returns {Function} - Unsubscribe function
+ */
+export function onHeatmapModeChange(listener) {
+  return events.on('modechange', listener);
+}
+
+/**
+ * Forgets this session's samples.
+ */
+export function clearHeatmap() {
+  samples.length = 0;
+  lastMove = null;
+  if (mode !== 'off') render(performance.now());
+}
+
+function handleKeyDown(event) {
+  if (!event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) return;
+  // event.key is missing on some synthetic keydowns (e.g. autofill)
+  if ((event.key || '').toLowerCase() !== TOGGLE_KEY) return;
+  // Leave Shift+H alone while typing
+  if (event.target instanceof Element && event.target.closest('input, textarea, select, [contenteditable]')) return;
+  cycleHeatmapMode();
+}
+
+/**
+ * Starts recording and listens for the shortcut. Safe to call more than once.
+ */
+export function initPointerHeatmap() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  onPointerSample(recordSample);
+  document.addEventListener('keydown', handleKeyDown);
+  // A view change swaps in that view's samples
+  document.addEventListener(VIEW_EVENTS.AFTER_ENTER, () => {
+    if (mode !== 'off') render(performance.now());
+  });
+
+  console.log('[pointerHeatmap] Initialized (Shift+H to show the overlay)');
+}
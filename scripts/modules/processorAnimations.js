@@ -1,8 +1,22 @@
+// Intervals only tick while their element is on screen (see animationVisibility.js)
+import { setVisibleInterval } from './animationVisibility.js';
+import { prefersReducedMotion } from './motionPolicy.js';
+
+// Under reduced motion each processor draws one frame and then holds it
+function setProcessorInterval(element, callback, interval) {
+    let hasDrawn = false;
+    return setVisibleInterval(element, () => {
+        if (hasDrawn && prefersReducedMotion()) return;
+        callback();
+        hasDrawn = true;
+    }, interval);
+}
+
 export function initProcessorAnimation1() {
     const className = '.processor1';
     const elements = document.querySelectorAll(className);
     elements.forEach((element) => {
-        setInterval(() => {
+        setProcessorInterval(element, () => {
             element.textContent = generateRandomString(10);
         }, 50); // Reduced interval to 50ms
     });
@@ -67,7 +81,7 @@ export function initProcessorAnimation2() {
     const elements = document.querySelectorAll(className);
     elements.forEach((element) => {
         let frameIndex = 0;
-        setInterval(() => {
+        setProcessorInterval(element, () => {
             element.textContent = frames[frameIndex];
             frameIndex = (frameIndex + 1) % frames.length;
         }, 30); // Reduced interval to 30ms
@@ -78,7 +92,7 @@ export function initProcessorAnimation3() {
     const className = '.processor3';
     const elements = document.querySelectorAll(className);
     elements.forEach((element) => {
-        setInterval(() => {
+        setProcessorInterval(element, () => {
             let str = "×××××××××××××××××";
             const pos1 = Math.floor(Math.random() * str.length);
             const pos2 = Math.floor(Math.random() * str.length);
@@ -100,7 +114,7 @@ export function initProcessorAnimation4() {
     const length = PROCESSOR_TEXT.length;
     elements.forEach((element) => {
         let index = 0;
-        setInterval(() => {
+        setProcessorInterval(element, () => {
             const displayedText = PROCESSOR_TEXT.substring(index, index + 20);
             element.textContent = displayedText;
             index = (index + 1) % length;
@@ -3,8 +3,51 @@
  * 
  * Controls the global animation timing function for elements
  * that need synchronized pulsing effects across the site.
+ * The pulse range follows the sound through the --audio-* CSS variables.
  */
 
+import { audioAnalyser } from './audioAnalyser.js';
+import { prefersReducedMotion } from './motionPolicy.js';
+
+const ONSET_DECAY = 0.8; // Per analysis frame, so an onset fades out over ~0.3s
+const PULSATE_SELECTOR = '.pulsate-element, .pulsate-opacity, .pulsate-brightness, .pulsate-contrast, .pulsate-video';
+
+// Elements the --audio-* variables are written on
+const audioTargets = new Set();
+
+/**
+ * Writes the analyser's levels to --audio-level, --audio-low, --audio-high and
+ * --audio-onset on the pulsing elements only, not the root, so each change
+ * restyles those elements rather than the whole document. Values are rounded
+ * and only written when they change.
+ */
+function bindAudioLevels() {
+  document.querySelectorAll(PULSATE_SELECTOR).forEach(element => audioTargets.add(element));
+  const written = {};
+  let onset = 0;
+
+  const write = (name, value) => {
+    const rounded = Math.round(value * 100) / 100;
+    if (written[name] === rounded) return;
+    written[name] = rounded;
+    audioTargets.forEach(element => element.style.setProperty(name, String(rounded)));
+  };
+
+  audioAnalyser.onOnset(strength => {
+    onset = Math.max(onset, strength);
+  });
+
+  audioAnalyser.onLevels(levels => {
+    // Reduced motion keeps the pulse at its calm default
+    const reduced = prefersReducedMotion();
+    onset = reduced ? 0 : onset * ONSET_DECAY;
+    write('--audio-level', reduced ? 0 : levels.overall);
+    write('--audio-low', reduced ? 0 : Math.max(levels.sub, levels.low));
+    write('--audio-high', reduced ? 0 : levels.high);
+    write('--audio-onset', onset);
+  });
+}
+
 export function initPulsateController() {
   // Find all elements that need the pulsate effect
   const pulsateElements = document.querySelectorAll('.pulsate-element');
@@ -21,6 +64,7 @@ export function initPulsateController() {
     light.classList.add('pulsate-element');
   });
   
+  bindAudioLevels();
   console.log(`Initialized pulsate controller for ${pulsateElements.length} elements`);
   
   // Apply custom brightness/contrast to elements based on the CSS variable
@@ -35,11 +79,14 @@ export function initPulsateController() {
     // Method to manually add elements to the pulsate system
     addElement(element) {
       element.classList.add('pulsate-element');
+      audioTargets.add(element);
     },
     
     // Method to remove elements from the pulsate system
     removeElement(element) {
       element.classList.remove('pulsate-element');
+      audioTargets.delete(element);
+      ['--audio-level', '--audio-low', '--audio-high', '--audio-onset'].forEach(name => element.style.removeProperty(name));
     },
     
     // Method to adjust timing of the pulsate animation
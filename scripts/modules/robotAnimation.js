@@ -6,6 +6,9 @@ console.log("Robot animation module initialized");
 
 // Import the sound system for speech effects
 import { robotSpeech } from './sounds.js';
+import { initRobotTTS, isTTSEnabled, isTTSSupported, speakPhrase } from './robotTTS.js';
+import { createVisibilityGate } from './animationVisibility.js';
+import { ticker, PRIORITY } from './ticker.js';
 
 // Variable to track if animation has started
 let animationStarted = false;
@@ -25,6 +28,8 @@ export function initRobot() {
         EYE_MOVE_INTERVAL: 7000, 
         SMILE_DURATION: 2000,
         MOUTH_UPDATE_FREQUENCY: 2,
+        SPOKEN_MOUTH_CLOSE_TIME: 150, // ms after a spoken word before the mouth relaxes
+        SPOKEN_CHARS_PER_SECOND: 14, // Estimated speaking rate, used until boundary events arrive
         DEBUG: true, // Enable debug temporarily to diagnose audio issues 
     };
 
@@ -180,14 +185,14 @@ export function initRobot() {
     function blinkEyes() {
         if (isSmiling) return;
         setEyes('closed');
-        setTimeout(() => setEyes('open'), CONFIG.BLINK_DURATION);
+        ticker.after(CONFIG.BLINK_DURATION, () => setEyes('open'));
 
         const nextBlink = Math.random() * (CONFIG.MAX_BLINK_INTERVAL - CONFIG.MIN_BLINK_INTERVAL) + CONFIG.MIN_BLINK_INTERVAL;
-        blinkTimeout = setTimeout(blinkEyes, nextBlink);
+        blinkTimeout = ticker.after(nextBlink, blinkEyes);
     }
 
     function stopBlinking() {
-        clearTimeout(blinkTimeout);
+        if (blinkTimeout) blinkTimeout.remove();
     }
 
     function resumeBlinking() {
@@ -224,7 +229,8 @@ export function initRobot() {
         }
     }
 
-    // Simplified delay function
+    // Simplified delay function. A real timeout rather than ticker.wait(), so the
+    // speech sequence keeps going (and finishes) while the tab is in the background
     const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
     // More reliable visibility check
@@ -390,10 +396,91 @@ export function initRobot() {
         }
     }
 
-    async function revealText() {
+    // Voice preset per kind of speech (see VOICE_PRESETS in robotVoice.js)
+    const VOICE_PRESET_BY_TYPE = {
+        joke: 'playful',
+        wisdom: 'calm'
+    };
+
+    /**
+     * Speaks the current phrase with speechSynthesis, revealing words and moving the
+     * mouth on the utterance's word boundaries.
+     * @param {string} voicePreset
+     * @returns {Promise<boolean>} false if the phrase couldn't be spoken
+     */
+    async function revealTextSpoken(voicePreset) {
+        const phrase = currentPhrase;
+        let revealedLength = 0;
+        let hasBoundaries = false;
+        let mouthCloseHandle = null;
+        let estimateHandle = null;
+
+        const getWordEnd = index => {
+            const nextSpace = phrase.indexOf(' ', index);
+            return nextSpace === -1 ? phrase.length : nextSpace;
+        };
+
+        const reveal = length => {
+            if (length <= revealedLength) return;
+            revealedLength = Math.min(length, phrase.length);
+            speechBubbleText.textContent = phrase.slice(0, revealedLength);
+        };
+
+        const sayWord = word => {
+            const letter = [...word].find(character => charTypeMap.vowels.has(character)) || word[0];
+            if (letter) updateMouthShape(letter);
+            if (mouthCloseHandle) mouthCloseHandle.remove();
+            mouthCloseHandle = ticker.after(CONFIG.SPOKEN_MOUTH_CLOSE_TIME, () => setMouth('idle'));
+        };
+
+        const spoken = await speakPhrase(phrase, {
+            preset: voicePreset,
+            volume: robotSpeech.getSpokenVolume(),
+            onStart: () => {
+                // Some voices never send boundary events; estimate progress until one arrives
+                const startTime = performance.now();
+                estimateHandle = ticker.add(() => {
+                    const estimated = Math.floor((performance.now() - startTime) / 1000 * CONFIG.SPOKEN_CHARS_PER_SECOND);
+                    if (estimated >= phrase.length) return;
+                    const wordStart = phrase.lastIndexOf(' ', estimated - 1) + 1;
+                    const wordEnd = getWordEnd(estimated);
+                    reveal(wordEnd);
+                    sayWord(phrase.slice(wordStart, wordEnd));
+                }, { fps: 1000 / (CONFIG.SPOKEN_MOUTH_CLOSE_TIME * 2), priority: PRIORITY.LOW, name: 'robotSpokenEstimate' });
+            },
+            onBoundary: (charIndex, charLength) => {
+                if (!hasBoundaries) {
+                    hasBoundaries = true;
+                    if (estimateHandle) estimateHandle.remove();
+                }
+                const wordEnd = charLength ? charIndex + charLength : getWordEnd(charIndex);
+                reveal(wordEnd);
+                sayWord(phrase.slice(charIndex, wordEnd));
+            }
+        });
+
+        if (estimateHandle) estimateHandle.remove();
+        if (mouthCloseHandle) mouthCloseHandle.remove();
+        if (!spoken) {
+            speechBubbleText.textContent = '';
+            return false;
+        }
+        reveal(phrase.length);
+        setMouth('idle');
+        return true;
+    }
+
+    async function revealText(voicePreset) {
         const phrase = currentPhrase;
         let displayedText = '';
         let mouthUpdateCounter = 0;
+
+        // Spoken mode, when the visitor has turned it on and the robot is allowed to make sound
+        if (isTTSEnabled() && isTTSSupported() && robotSpeech.getSpokenVolume() > 0) {
+            if (await revealTextSpoken(voicePreset)) return;
+        }
+
+        robotSpeech.beginUtterance(phrase, voicePreset);
     
         for (let i = 0; i < phrase.length; i++) {
             const character = phrase[i];
@@ -416,8 +503,12 @@ export function initRobot() {
 
     let currentPhrase = '';
 
+    // Don't start new phrases (or make speech sounds) while the robot is off screen
+    const visibilityGate = createVisibilityGate(robotFace);
+
     async function typeWriter() {
         while (true) {
+            await visibilityGate.whenVisible();
             const speechItem = getRandomSpeechItem();
             if (speechItem.type === 'joke') {
                 await animateJoke(speechItem.parts);
@@ -433,7 +524,7 @@ export function initRobot() {
             bubble.style.display = "block";
             currentPhrase = phrase;
             prefillSpeechBubble(phrase);
-            await revealText();
+            await revealText(VOICE_PRESET_BY_TYPE.joke);
             await delay(CONFIG.DEFAULT_DISPLAY_TIME);
         }
         bubble.style.display = "none";
@@ -452,7 +543,7 @@ export function initRobot() {
             bubble.style.display = "block";
             currentPhrase = phrase;
             prefillSpeechBubble(phrase);
-            await revealText();
+            await revealText(VOICE_PRESET_BY_TYPE.wisdom);
             await delay(CONFIG.DEFAULT_DISPLAY_TIME);
         }
         bubble.style.display = "none";
@@ -469,6 +560,7 @@ export function initRobot() {
     // ======================
     function init() {
         if (CONFIG.DEBUG) console.log("Initializing robot animation...");
+        initRobotTTS();
         
         // Set up multiple event listeners to initialize audio
         const audioTriggerEvents = ['click', 'touchstart', 'keydown'];
@@ -479,7 +571,7 @@ export function initRobot() {
                     robotSpeech.init();
                     // Only play test sound on explicit interaction
                     if (eventType === 'click') {
-                        setTimeout(robotSpeech.playTestSound, 500);
+                        ticker.after(500, robotSpeech.playTestSound);
                     }
                 }
             }, { once: true, passive: true });
@@ -491,12 +583,17 @@ export function initRobot() {
         checkVisibility();
         
         // Use more efficient passive event listeners
-        const moveEyesInterval = setInterval(moveEyesRandomly, CONFIG.EYE_MOVE_INTERVAL);
+        const moveEyesHandle = ticker.add(moveEyesRandomly, {
+            fps: 1000 / CONFIG.EYE_MOVE_INTERVAL,
+            delayFirstRun: true, // First move after a full interval, as with setInterval
+            priority: PRIORITY.LOW,
+            name: 'robotEyes'
+        });
         
         // Clean up on page unload
         window.addEventListener('unload', () => {
-            clearInterval(moveEyesInterval);
-            clearTimeout(blinkTimeout);
+            moveEyesHandle.remove();
+            stopBlinking();
         }, { passive: true });
 
         // Listen for intro completion to initialize audio
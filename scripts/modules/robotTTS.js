@@ -0,0 +1,208 @@
+/**
+ * Robot TTS Module
+ * --------------------
+ * Optional text-to-speech for the robot, using the browser's Web Speech `speechSynthesis`.
+ *
+ * When the mode is on, robotAnimation.js speaks each phrase aloud and moves the mouth
+ * on the utterance's word boundary events instead of typing it out with blips. If the
+ * browser has no speech synthesis or no voices, or speaking fails, speakPhrase()
+ * resolves false and the robot falls back to the blip voice.
+ *
+ * The mode is off by default and remembered in localStorage. Toggle markup: any element
+ * with a `data-robot-tts-toggle` attribute; its aria-pressed state reflects the mode.
+ */
+
+const STORAGE_KEY = 'robot-tts';
+const TOGGLE_SELECTOR = '[data-robot-tts-toggle]';
+const VOICES_TIMEOUT = 1500; // ms to wait for the voice list, which some browsers load lazily
+const START_TIMEOUT = 2000;  // ms to wait for an utterance to start before giving up
+
+// Pitch and rate per robot voice preset (see VOICE_PRESETS in robotVoice.js)
+const TTS_PRESETS = {
+  standard: { pitch: 0.8, rate: 1 },
+  playful: { pitch: 1.3, rate: 1.1 },
+  calm: { pitch: 0.7, rate: 0.9 },
+  tinny: { pitch: 1.8, rate: 1.05 }
+};
+
+const synth = window.speechSynthesis || null;
+let voicesPromise = null;
+let currentUtterance = null; // Held so the utterance isn't garbage collected mid-speech
+let isInitialized = false;
+
+/**
+ * Whether the browser supports speech synthesis at all.
+ * @returns {boolean}
+ */
+export function isTTSSupported() {
+  return Boolean(synth && window.SpeechSynthesisUtterance);
+}
+
+/**
+ * Whether the visitor has turned spoken mode on.
+ * @returns {boolean}
+ */
+export function isTTSEnabled() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) === 'on';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turns spoken mode on or off and updates the toggles.
+ * @param {boolean} enabled
+ */
+export function setTTSEnabled(enabled) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, enabled ? 'on' : 'off');
+  } catch (error) {
+    console.warn('[robotTTS] Could not save spoken mode:', error);
+  }
+  if (!enabled) cancelSpeech();
+  updateToggles();
+  console.log(`[robotTTS] Spoken mode ${enabled ? 'on' : 'off'}`);
+}
+
+function updateToggles() {
+  const enabled = isTTSEnabled();
+  document.querySelectorAll(TOGGLE_SELECTOR).forEach(toggle => {
+    toggle.setAttribute('aria-pressed', String(enabled));
+    toggle.hidden = !isTTSSupported();
+  });
+}
+
+/**
+ * Resolves with the available voices, waiting briefly for browsers that load them lazily.
+ * @returns {Promise<SpeechSynthesisVoice[]>}
+ */
+function loadVoices() {
+  if (!isTTSSupported()) return Promise.resolve([]);
+  if (voicesPromise) return voicesPromise;
+
+  voicesPromise = new Promise(resolve => {
+    const voices = synth.getVoices();
+    if (voices.length) {
+      resolve(voices);
+      return;
+    }
+    const finish = () => {
+      synth.removeEventListener('voiceschanged', finish);
+      clearTimeout(timeoutId);
+      resolve(synth.getVoices());
+    };
+    const timeoutId = setTimeout(finish, VOICES_TIMEOUT);
+    synth.addEventListener('voiceschanged', finish);
+  }).then(voices => {
+    // Try again next time if the list was still empty
+    if (!voices.length) voicesPromise = null;
+    return voices;
+  });
+  return voicesPromise;
+}
+
+// Prefers an English voice that ships with the device, so speech works offline
+function pickVoice(voices) {
+  const english = voices.filter(voice => /^en(-|_|$)/i.test(voice.lang));
+  return english.find(voice => voice.localService) || english[0] || voices[0];
+}
+
+/**
+ * Stops anything the robot is saying.
+ */
+export function cancelSpeech() {
+  if (synth && (synth.speaking || synth.pending)) synth.cancel();
+  currentUtterance = null;
+}
+
+/**
+ * Speaks a phrase aloud.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.preset='standard'] - Robot voice preset name
+ * @param {number} [options.volume=1] - 0 to 1
+ * @param {Function} [options.onStart] - Called when speech actually starts
+ * @param {Function} [options.onBoundary] - Called with (charIndex, charLength) at each word
+ * @returns {Promise<boolean>} - true once the phrase has been spoken, false if it couldn't be
+ */
+export async function speakPhrase(text, { preset = 'standard', volume = 1, onStart, onBoundary } = {}) {
+  const voices = await loadVoices();
+  if (!voices.length) {
+    console.warn('[robotTTS] No speech voices available, using the blip voice');
+    return false;
+  }
+
+  cancelSpeech();
+  const utterance = new SpeechSynthesisUtterance(text);
+  const settings = TTS_PRESETS[preset] || TTS_PRESETS.standard;
+  utterance.voice = pickVoice(voices);
+  utterance.pitch = settings.pitch;
+  utterance.rate = settings.rate;
+  utterance.volume = Math.min(Math.max(volume, 0), 1);
+  currentUtterance = utterance;
+
+  return new Promise(resolve => {
+    let started = false;
+    let startTimeoutId = null;
+
+    const handleVisibility = () => {
+      if (document.hidden) cancelSpeech();
+    };
+    const finish = success => {
+      clearTimeout(startTimeoutId);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      if (currentUtterance === utterance) currentUtterance = null;
+      resolve(success);
+    };
+
+    utterance.onstart = () => {
+      started = true;
+      clearTimeout(startTimeoutId);
+      if (onStart) onStart();
+    };
+    utterance.onboundary = event => {
+      if (event.name && event.name !== 'word') return;
+      if (onBoundary) onBoundary(event.charIndex, event.charLength || 0);
+    };
+    utterance.onend = () => finish(started);
+    utterance.onerror = event => {
+      // A cancel (new phrase, page hidden, mode off) after starting still counts as spoken
+      if (event.error !== 'canceled' && event.error !== 'interrupted') {
+        console.warn(`[robotTTS] Speech failed (${event.error}), using the blip voice`);
+      }
+      finish(started);
+    };
+
+    // Some engines never start (e.g. blocked until a user gesture); fall back rather than hang
+    startTimeoutId = setTimeout(() => {
+      if (started) return;
+      console.warn('[robotTTS] Speech did not start, using the blip voice');
+      cancelSpeech();
+      finish(false);
+    }, START_TIMEOUT);
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    synth.speak(utterance);
+  });
+}
+
+/**
+ * Wires up the spoken mode toggles. Safe to call more than once.
+ */
+export function initRobotTTS() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  document.addEventListener('click', event => {
+    const toggle = event.target.closest(TOGGLE_SELECTOR);
+    if (!toggle) return;
+    event.preventDefault();
+    setTTSEnabled(!isTTSEnabled());
+  });
+  window.addEventListener('pagehide', cancelSpeech);
+
+  updateToggles();
+  if (isTTSEnabled()) loadVoices();
+  console.log(`[robotTTS] Initialized (${isTTSSupported() ? `spoken mode ${isTTSEnabled() ? 'on' : 'off'}` : 'not supported'})`);
+}
@@ -0,0 +1,248 @@
+/**
+ * Robot Voice Module
+ * --------------------
+ * Formant synthesizer for the robot's speech, one short sound per typed character.
+ *
+ * Each character is sorted into a phoneme class using the `characterMappings` sets
+ * from sounds.js (vowels, bilabial, nasals, sibilants, dentals, pauses). Voiced
+ * classes run a buzzy oscillator through parallel band-pass "formant" filters; the
+ * sibilants and the burst of a dental use filtered noise instead.
+ *
+ * Pitch follows the sentence: it drifts down through a statement and falls at a `.`,
+ * and rises towards a `?`. Every utterance can use its own voice preset.
+ *
+ * Usage:
+ *   const voice = createRobotVoice(audioContext, { mappings });
+ *   voice.beginUtterance('Why did the div cross the road?', 'playful');
+ *   for (const character of text) voice.speak(character, destination, 0.15);
+ */
+
+// Voice presets: base pitch (Hz), formant scaling, source waveform, pitch contour depth,
+// random pitch wobble per character, and character length (s)
+export const VOICE_PRESETS = {
+  standard: { pitch: 140, formantShift: 1, waveform: 'sawtooth', contourDepth: 0.25, jitter: 0.03, duration: 0.07 },
+  playful: { pitch: 180, formantShift: 1.1, waveform: 'sawtooth', contourDepth: 0.4, jitter: 0.06, duration: 0.065 },
+  calm: { pitch: 115, formantShift: 0.95, waveform: 'triangle', contourDepth: 0.15, jitter: 0.015, duration: 0.075 },
+  tinny: { pitch: 230, formantShift: 1.25, waveform: 'square', contourDepth: 0.3, jitter: 0.04, duration: 0.06 }
+};
+
+// Formants as [frequency Hz, bandwidth Hz, gain]
+const VOWEL_FORMANTS = {
+  a: [[800, 80, 1], [1200, 90, 0.5], [2500, 120, 0.2]],
+  e: [[400, 60, 1], [2000, 100, 0.4], [2600, 120, 0.25]],
+  i: [[300, 50, 1], [2300, 100, 0.35], [3000, 120, 0.25]],
+  o: [[450, 70, 1], [800, 80, 0.6], [2500, 120, 0.15]],
+  u: [[325, 50, 1], [700, 60, 0.4], [2500, 120, 0.1]]
+};
+
+// Per class: formants, voiced or noise source, relative length and level
+const PHONEME_CLASSES = {
+  bilabial: { formants: [[300, 60, 1], [900, 90, 0.3], [2200, 120, 0.1]], voiced: true, length: 0.6, level: 0.7 },
+  nasals: { formants: [[250, 50, 1], [1700, 150, 0.15], [2500, 150, 0.1]], voiced: true, length: 0.8, level: 0.6 },
+  sibilants: { formants: [[4500, 900, 1], [6500, 1500, 0.7]], voiced: false, length: 0.8, level: 0.35 },
+  dentals: { formants: [[400, 60, 0.6], [1600, 120, 0.4], [4000, 800, 0.8]], voiced: true, burst: true, length: 0.4, level: 0.8 },
+  other: { formants: [[500, 80, 1], [1500, 100, 0.4], [2500, 120, 0.2]], voiced: true, length: 0.6, level: 0.7 }
+};
+
+const ATTACK_TIME = 0.008;
+const GLIDE_TIME = 0.02; // Pitch glide between characters, so syllables run together
+
+/**
+ * Eases from 0 to 1 between edge0 and edge1.
+ * @param {number} edge0
+ * @param {number} edge1
+ * @param {number} x
+ * @returns {number}
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Pitch multiplier at a point in a sentence.
+ * @param {number} progress - 0 at the start of the sentence, 1 at its last character
+ * @param {string} ending - The sentence's final punctuation ('?', '.', '!' or '')
+ * @param {number} depth - Preset contour depth
+ * @returns {number}
+ */
+function contourAt(progress, ending, depth) {
+  switch (ending) {
+    case '?':
+      return 1 - 0.1 * depth * progress + depth * smoothstep(0.6, 1, progress);
+    case '.':
+      return 1 + 0.1 * depth - depth * 0.8 * smoothstep(0.5, 1, progress);
+    case '!':
+      return 1 + depth * 0.5 * (1 - progress);
+    default:
+      return 1 - 0.15 * depth * progress; // Gentle declination for unfinished sentences
+  }
+}
+
+/**
+ * Works out the pitch multiplier for every character of an utterance.
+ * @param {string} text
+ * @param {number} depth - Preset contour depth
+ * @returns {number[]}
+ */
+function buildContour(text, depth) {
+  const contour = new Array(text.length).fill(1);
+  const sentencePattern = /[^.?!]+[.?!]*/g;
+  let match;
+
+  while ((match = sentencePattern.exec(text)) !== null) {
+    const sentence = match[0];
+    const ending = (sentence.trim().match(/[.?!]$/) || [''])[0];
+    const lastIndex = Math.max(sentence.length - 1, 1);
+    for (let i = 0; i < sentence.length; i++) {
+      contour[match.index + i] = contourAt(i / lastIndex, ending, depth);
+    }
+  }
+  return contour;
+}
+
+/**
+ * Creates a robot voice for an audio context.
+ * @param {AudioContext} audioContext
+ * @param {Object} options
+ * @param {Object} options.mappings - Character class sets (see CONFIG.robotSpeech.characterMappings in sounds.js)
+ * @returns {{beginUtterance: Function, speak: Function, skip: Function}}
+ */
+export function createRobotVoice(audioContext, { mappings }) {
+  let noiseBuffer = null;
+  let preset = VOICE_PRESETS.standard;
+  let contour = [];
+  let position = 0;
+  let lastFrequency = null;
+
+  function getNoiseBuffer() {
+    if (!noiseBuffer) {
+      noiseBuffer = audioContext.createBuffer(1, Math.ceil(audioContext.sampleRate * 0.25), audioContext.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+    return noiseBuffer;
+  }
+
+  // Returns the phoneme class for a character, or null for silence
+  function classify(character) {
+    if (character === ' ' || mappings.pauses.has(character)) return null;
+    if (mappings.vowels.has(character)) {
+      const formants = VOWEL_FORMANTS[character.toLowerCase()] || VOWEL_FORMANTS.a;
+      return { formants, voiced: true, length: 1, level: 1 };
+    }
+    if (mappings.bilabial.has(character)) return PHONEME_CLASSES.bilabial;
+    if (mappings.nasals.has(character)) return PHONEME_CLASSES.nasals;
+    if (mappings.sibilants.has(character)) return PHONEME_CLASSES.sibilants;
+    if (mappings.dentals.has(character)) return PHONEME_CLASSES.dentals;
+    return PHONEME_CLASSES.other;
+  }
+
+  // Connects a source through parallel formant filters into the envelope node
+  function connectFormants(source, formants, envelope) {
+    const nodes = [];
+    formants.forEach(([frequency, bandwidth, gain]) => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = 'bandpass';
+      filter.frequency.value = Math.min(frequency * preset.formantShift, audioContext.sampleRate / 2 - 100);
+      filter.Q.value = filter.frequency.value / bandwidth;
+      const gainNode = audioContext.createGain();
+      gainNode.gain.value = gain;
+      source.connect(filter);
+      filter.connect(gainNode);
+      gainNode.connect(envelope);
+      nodes.push(filter, gainNode);
+    });
+    return nodes;
+  }
+
+  /**
+   * Starts a new utterance: resets the pitch contour and picks the voice preset.
+   * @param {string} text - The full text about to be spoken
+   * @param {string|Object} [presetName='standard'] - Key of VOICE_PRESETS, or a preset object
+   */
+  function beginUtterance(text, presetName = 'standard') {
+    preset = typeof presetName === 'object' ? { ...VOICE_PRESETS.standard, ...presetName } :
+      (VOICE_PRESETS[presetName] || VOICE_PRESETS.standard);
+    contour = buildContour(text, preset.contourDepth);
+    position = 0;
+    lastFrequency = null;
+  }
+
+  /**
+   * Moves past a character without sounding it, keeping the pitch contour in step
+   * while sound is muted or the page is hidden.
+   */
+  function skip() {
+    position++;
+    lastFrequency = null;
+  }
+
+  /**
+   * Speaks the next character of the current utterance.
+   * @param {string} character
+   * @param {AudioNode} destination
+   * @param {number} volume
+   */
+  function speak(character, destination, volume) {
+    const pitchMultiplier = position < contour.length ? contour[position] : 1;
+    position++;
+
+    const phoneme = classify(character);
+    if (!phoneme) {
+      lastFrequency = null; // Start the next word fresh
+      return;
+    }
+
+    const now = audioContext.currentTime;
+    const duration = preset.duration * phoneme.length;
+    const peak = volume * phoneme.level;
+
+    const envelope = audioContext.createGain();
+    envelope.gain.setValueAtTime(0, now);
+    envelope.gain.linearRampToValueAtTime(peak, now + ATTACK_TIME);
+    envelope.gain.setValueAtTime(peak, now + duration * 0.6);
+    envelope.gain.linearRampToValueAtTime(0, now + duration);
+    envelope.connect(destination);
+
+    const sources = [];
+    const nodes = [envelope];
+
+    if (phoneme.voiced) {
+      const oscillator = audioContext.createOscillator();
+      oscillator.type = preset.waveform;
+      const frequency = preset.pitch * pitchMultiplier * (1 + (Math.random() * 2 - 1) * preset.jitter);
+      oscillator.frequency.setValueAtTime(lastFrequency || frequency, now);
+      oscillator.frequency.linearRampToValueAtTime(frequency, now + GLIDE_TIME);
+      lastFrequency = frequency;
+      nodes.push(...connectFormants(oscillator, phoneme.formants, envelope));
+      sources.push(oscillator);
+    }
+
+    if (!phoneme.voiced || phoneme.burst) {
+      const noise = audioContext.createBufferSource();
+      noise.buffer = getNoiseBuffer();
+      // Dentals only get a burst of noise at their highest formant
+      const noiseFormants = phoneme.burst ? phoneme.formants.slice(-1) : phoneme.formants;
+      nodes.push(...connectFormants(noise, noiseFormants, envelope));
+      sources.push(noise);
+    }
+
+    sources.forEach(source => {
+      if (source instanceof AudioBufferSourceNode) {
+        source.start(now, Math.random() * 0.1); // Different grain of noise each time
+      } else {
+        source.start(now);
+      }
+      source.stop(now + duration + 0.01);
+    });
+    sources[0].onended = () => {
+      sources.forEach(source => source.disconnect());
+      nodes.forEach(node => node.disconnect());
+    };
+  }
+
+  return { beginUtterance, speak, skip };
+}
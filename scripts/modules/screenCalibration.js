@@ -0,0 +1,270 @@
+/**
+ * Screen Calibration Module
+ * --------------------
+ * Measures the screen's real pixel density so distances and speeds are physically meaningful.
+ *
+ * The visitor resizes an on-screen card outline until it matches a real bank card
+ * (ISO/IEC 7810 ID-1, 85.60 × 53.98 mm) held against the screen. The result, in CSS
+ * pixels per centimetre, is saved in localStorage together with the devicePixelRatio
+ * at the time, so browser zoom changes are compensated for.
+ *
+ * cursorTracker.js and scrollTracker.js read getPixelsPerInch() and follow
+ * onCalibrationChange(); until the screen is calibrated they keep their own estimates.
+ *
+ * Trigger markup: any element with a `data-calibrate-screen` attribute opens the dialog.
+ */
+
+import { EventEmitter } from './eventEmitter.js';
+
+const STORAGE_KEY = 'screen-calibration';
+const TRIGGER_SELECTOR = '[data-calibrate-screen]';
+
+const CM_PER_INCH = 2.54;
+const CARD_WIDTH_CM = 8.56;
+const CARD_HEIGHT_CM = 5.398;
+const CARD_RADIUS_CM = 0.318;
+
+// Slider range in CSS px/cm (96 DPI is ~37.8)
+const MIN_PX_PER_CM = 15;
+const MAX_PX_PER_CM = 90;
+const STEP_PX_PER_CM = 0.1;
+const DEFAULT_PX_PER_CM = 96 / CM_PER_INCH;
+
+let calibration = null; // { pxPerCm, devicePixelRatio, date }
+let dialog = null;
+let zoomQuery = null; // Matches the current devicePixelRatio; changes when the page is zoomed
+const events = new EventEmitter('screenCalibration');
+let isInitialized = false;
+
+function load() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved && saved.pxPerCm > 0) calibration = saved;
+  } catch (error) {
+    console.warn('[screenCalibration] Could not read saved calibration:', error);
+  }
+}
+
+function notify() {
+  events.emit('change', getPixelsPerInch());
+}
+
+/**
+ * Whether the visitor has calibrated this screen.
+ * @returns {boolean}
+ */
+export function isCalibrated() {
+  return calibration !== null;
+}
+
+/**
+ * Calibrated CSS pixels per centimetre, adjusted for zoom since calibrating.
+ * @returns {number|null} - null if not calibrated
+ */
+export function getPixelsPerCm() {
+  if (!calibration) return null;
+  // Zooming in raises devicePixelRatio and makes each CSS pixel physically bigger
+  const ratio = (calibration.devicePixelRatio || 1) / (window.devicePixelRatio || 1);
+  return calibration.pxPerCm * ratio;
+}
+
+/**
+ * Calibrated CSS pixels per inch.
+ * @returns {number|null} - null if not calibrated
+ */
+export function getPixelsPerInch() {
+  const pxPerCm = getPixelsPerCm();
+  return pxPerCm === null ? null : pxPerCm * CM_PER_INCH;
+}
+
+/**
+ * Saves a calibration.
+ * @param {number} pxPerCm - CSS pixels per centimetre at the current zoom
+ */
+export function setCalibration(pxPerCm) {
+  if (!(pxPerCm > 0)) return;
+  calibration = {
+    pxPerCm,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    date: new Date().toISOString()
+  };
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+  } catch (error) {
+    console.warn('[screenCalibration] Could not save calibration:', error);
+  }
+  console.log(`[screenCalibration] Calibrated at ${pxPerCm.toFixed(1)} px/cm (${(pxPerCm * CM_PER_INCH).toFixed(0)} DPI)`);
+  notify();
+}
+
+/**
+ * Forgets the calibration, so readouts go back to estimates.
+ */
+export function clearCalibration() {
+  calibration = null;
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing saved to remove
+  }
+  console.log('[screenCalibration] Calibration cleared');
+  notify();
+}
+
+/**
+ * Subscribes to calibration changes.
+ * @param {Function} listener - Called with getPixelsPerInch() (null once cleared)
+ * @returns {Function} - Unsubscribe function
+ */
+export function onCalibrationChange(listener) {
+  return events.on('change', listener);
+}
+
+// Re-notifies when the zoom level changes, since the calibrated px/cm follows it
+function watchZoom() {
+  if (!window.matchMedia) return;
+  // Safari before 14 only has the older addListener()/removeListener()
+  if (zoomQuery) {
+    if (typeof zoomQuery.removeEventListener === 'function') {
+      zoomQuery.removeEventListener('change', handleZoomChange);
+    } else if (typeof zoomQuery.removeListener === 'function') {
+      zoomQuery.removeListener(handleZoomChange);
+    }
+  }
+  zoomQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+  if (typeof zoomQuery.addEventListener === 'function') {
+    zoomQuery.addEventListener('change', handleZoomChange);
+  } else if (typeof zoomQuery.addListener === 'function') {
+    zoomQuery.addListener(handleZoomChange);
+  }
+}
+
+function handleZoomChange() {
+  watchZoom();
+  if (isCalibrated()) notify();
+}
+
+function createButton(label, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `screen-calibration__button ${className}`;
+  button.textContent = label;
+  return button;
+}
+
+function buildDialog() {
+  const overlay = document.createElement('div');
+  overlay.className = 'screen-calibration';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-labelledby', 'screen-calibration-title');
+  overlay.hidden = true;
+
+  const title = document.createElement('p');
+  title.id = 'screen-calibration-title';
+  title.className = 'screen-calibration__title';
+  title.textContent = 'Hold a bank card against the screen and resize the outline to match it';
+
+  const card = document.createElement('div');
+  card.className = 'screen-calibration__card';
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.className = 'screen-calibration__slider';
+  slider.min = String(MIN_PX_PER_CM);
+  slider.max = String(MAX_PX_PER_CM);
+  slider.step = String(STEP_PX_PER_CM);
+  slider.setAttribute('aria-label', 'Card size');
+
+  const readout = document.createElement('output');
+  readout.className = 'screen-calibration__readout';
+
+  const actions = document.createElement('div');
+  actions.className = 'screen-calibration__actions';
+  const save = createButton('Save', 'screen-calibration__save');
+  const cancel = createButton('Cancel', 'screen-calibration__cancel');
+  const reset = createButton('Forget calibration', 'screen-calibration__reset');
+  actions.append(save, cancel, reset);
+
+  overlay.append(title, card, slider, readout, actions);
+  document.body.appendChild(overlay);
+
+  const setSize = pxPerCm => {
+    card.style.width = `${CARD_WIDTH_CM * pxPerCm}px`;
+    card.style.height = `${CARD_HEIGHT_CM * pxPerCm}px`;
+    card.style.borderRadius = `${CARD_RADIUS_CM * pxPerCm}px`;
+    readout.textContent = `${pxPerCm.toFixed(1)} px/cm · ${(pxPerCm * CM_PER_INCH).toFixed(0)} DPI`;
+  };
+
+  slider.addEventListener('input', () => setSize(parseFloat(slider.value)));
+  save.addEventListener('click', () => {
+    setCalibration(parseFloat(slider.value));
+    closeCalibration();
+  });
+  cancel.addEventListener('click', closeCalibration);
+  reset.addEventListener('click', () => {
+    clearCalibration();
+    closeCalibration();
+  });
+  // aria-modal: Tab and Shift+Tab cycle through the dialog's controls instead of leaving it.
+  // Listens on document, so a click on the backdrop (which drops focus to <body>) can't escape.
+  const focusable = [slider, save, cancel, reset];
+  document.addEventListener('keydown', event => {
+    if (overlay.hidden) return;
+    if (event.key === 'Escape') {
+      closeCalibration();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+    const index = focusable.indexOf(document.activeElement);
+    const next = event.shiftKey ?
+      (index <= 0 ? focusable.length - 1 : index - 1) :
+      (index === -1 || index === focusable.length - 1 ? 0 : index + 1);
+    event.preventDefault();
+    focusable[next].focus();
+  });
+
+  return { overlay, slider, setSize, returnFocus: null };
+}
+
+/**
+ * Opens the calibration dialog, starting from the current calibration or 96 DPI.
+ */
+export function openCalibration() {
+  if (!dialog) dialog = buildDialog();
+  const start = Math.min(Math.max(getPixelsPerCm() || DEFAULT_PX_PER_CM, MIN_PX_PER_CM), MAX_PX_PER_CM);
+  dialog.slider.value = String(start);
+  dialog.setSize(start);
+  dialog.returnFocus = document.activeElement;
+  dialog.overlay.hidden = false;
+  dialog.slider.focus();
+}
+
+/**
+ * Closes the calibration dialog without saving.
+ */
+export function closeCalibration() {
+  if (!dialog || dialog.overlay.hidden) return;
+  dialog.overlay.hidden = true;
+  if (dialog.returnFocus && typeof dialog.returnFocus.focus === 'function') dialog.returnFocus.focus();
+}
+
+/**
+ * Wires up the calibration triggers. Safe to call more than once.
+ */
+export function initScreenCalibration() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  document.addEventListener('click', event => {
+    if (!event.target.closest(TRIGGER_SELECTOR)) return;
+    event.preventDefault();
+    openCalibration();
+  });
+  watchZoom();
+
+  console.log(`[screenCalibration] Initialized (${isCalibrated() ? `${getPixelsPerCm().toFixed(1)} px/cm` : 'not calibrated'})`);
+}
+
+// Loaded on import so trackers created at import time can read the calibration
+load();
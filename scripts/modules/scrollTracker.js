@@ -3,123 +3,464 @@
  * @module scrollTracker
  * @author Alexander Beck
  * 
- * A module that provides scroll tracking functionality by monitoring wheel events and 
+ * A module that provides scroll tracking functionality by monitoring scroll input and 
  * calculating normalized speed and acceleration values. This creates a physics-based
  * scroll experience that can be consumed by other components.
+ *
+ * Input sources, each converted to wheel-equivalent pixels so speed feels the same
+ * whichever device is used:
+ * - wheel: mouse wheels and trackpads (line and page delta modes converted to pixels)
+ * - touch: vertical finger drags, with inertia after the finger lifts
+ * - keyboard: arrow keys, PageUp/PageDown and Space
+ * - native: `scroll` events from the page or scrollable elements (e.g. scrollbar drags)
+ *
+ * Speed is a magnitude, whichever way the page scrolls. Direction is tracked alongside
+ * it: getVelocity() gives a signed 2D vector (positive y = down, positive x = right),
+ * and these events report changes of direction and intent:
+ * - reverse: the heading flipped along its main axis while moving
+ * - brake: input against the heading while moving
+ * - boost: a strong push along the heading while already moving
+ *   scrollTracker.on('reverse', ({ axis, velocity }) => ...);
+ *
+ * Physics integrates the real time between frames (clamped, in small fixed substeps),
+ * so speed builds and decays the same at 60Hz, 120Hz or when frames drop. The model
+ * can be tuned at runtime with scrollTracker.configure({ drag, maxSpeed, impulseCurve, ... }).
+ *
+ * Replay harness: record real input, then run it through a detached tracker at any
+ * frame rate and compare the results, e.g. from the console:
+ *   scrollTracker.startRecording();
+ *   // ...scroll around...
+ *   const recording = scrollTracker.stopRecording();
+ *   const at60 = replayScrollInput(recording, { fps: 60 });
+ *   const at120 = replayScrollInput(recording, { fps: 120 });
+ * tests/scroll-replay.html runs fixed cases at 30, 60 and 120 fps and flags any that differ.
  */
 
-// Simple event emitter for decoupled communication
-class EventEmitter {
-  constructor() {
-    this.listeners = {};
-  }
-  on(event, fn) {
-    if (!this.listeners[event]) {
-      this.listeners[event] = [];
-    }
-    this.listeners[event].push(fn);
-  }
-  emit(event, ...args) {
-    if (this.listeners[event]) {
-      for (const fn of this.listeners[event]) {
-        fn(...args);
-      }
-    }
-  }
-}
+import { ticker, PRIORITY } from './ticker.js';
+import { getPixelsPerInch, onCalibrationChange } from './screenCalibration.js';
+import { EventEmitter } from './eventEmitter.js';
+
+// Shapes of the impulse curve: raw impulse (wheel-equivalent pixels / scrollScalingFactor) -> impulse
+const IMPULSE_CURVES = {
+  linear: impulse => impulse,
+  soft: impulse => 1 - Math.exp(-impulse),   // Diminishing returns for big flicks
+  sqrt: impulse => Math.sqrt(impulse)        // Small movements count for more
+};
 
 // Streamlined ScrollTracker: tracks normalized speed and acceleration from scroll events.
 class ScrollTracker extends EventEmitter {
+  // Physics model; change with configure()
   #config = {
     scrollScalingFactor: 150,  // Higher value reduces sensitivity (was 100)
-    speedDecayRate: 1.5,       // Higher value increases speed decay (was 1)
+    impulseCurve: 'linear',    // Key of IMPULSE_CURVES, or a function(rawImpulse) => impulse
+    impulseGain: 0.85,         // Share of each impulse that becomes acceleration
+    drag: 1.5,                 // Speed decay per second; stronger at higher speeds
     accelerationDecayRate: 9,  // Higher value increases acceleration decay (was 6)
-    maxSpeed: 1.0              // Maximum normalized speed (0-1)
+    speedResponse: 0.5,        // How much acceleration tails off as speed builds (0 = not at all)
+    maxSpeed: 1.0,             // Maximum normalized speed (0-1)
+    maxFrameTime: 0.1,         // s; longer gaps between frames (tab switches, jank) count as this
+    stepTime: 1 / 120,         // s; integration substep, so results don't depend on frame rate
+    referenceFps: 60,          // Continuous input (drags, inertia) is measured per frame at this rate
+    // Direction events
+    direction: {
+      minSpeed: 0.05,            // Below this the ship is parked and direction events don't fire
+      brakeAlignment: -0.5,      // Input whose direction · heading is below this counts as braking
+      boostImpulse: 1,           // Raw impulse along the heading that counts as a boost
+      cooldownMs: 250            // Shortest time between two events of the same kind
+    },
+    // Conversion of each input source to wheel-equivalent pixels
+    input: {
+      wheelLinePx: 16,           // deltaMode 1 (lines), e.g. Firefox on Windows
+      touchScale: 1.5,           // Finger drags cover fewer pixels than a wheel for the same intent
+      touchInertiaDecay: 4,      // Per second; how quickly a flick's momentum fades
+      touchMinVelocity: 60,      // px/s; inertia stops below this
+      touchMaxVelocity: 4000,    // px/s; caps flicks measured over very few events
+      touchVelocityWindow: 100,  // ms of recent drag used to measure a flick's velocity
+      keyStepPx: 60,             // Arrow keys (repeat while held)
+      keyPagePx: 300,            // PageUp/PageDown/Space
+      nativeScrollScale: 1,
+      nativeScrollQuietMs: 150   // Native scroll this soon after other input is that input's own scroll
+    }
   };
 
   // State values (normalized 0 to 1).
   #state = {
     speed: 0,
     acceleration: 0,
-    lastImpulse: 0  // Added to track the last impulse for reference
+    lastImpulse: 0,  // Added to track the last impulse for reference
+    lastSource: null, // Input source of the last impulse: 'wheel' | 'touch' | 'keyboard' | 'native'
+    heading: { x: 0, y: 1 } // Unit vector of the current direction of travel (starts heading down)
   };
 
+  // Input waiting to be applied on the next frame, in signed wheel-equivalent pixels
+  #pendingInput = { deltaX: 0, deltaY: 0, pixels: 0, source: null, inertia: false };
+  #lastDirectInputTime = 0; // Last wheel, touch or key input, to tell native scroll apart
+  #touch = { active: false, lastY: 0, lastTime: 0, samples: [], inertiaVelocity: 0 };
+  #nativeScrollPositions = new WeakMap(); // Scroll target -> last { top, left }
+  #clock = 0; // ms of simulated time, summed from update() so replays are deterministic
+  #lastDirectionEvents = { reverse: -Infinity, brake: -Infinity, boost: -Infinity }; // #clock times, for cooldowns
+  #recording = null; // { startTime, events } while recording input
+
   // Conversion factors and constants
   #conversion = {
     // Base measurement is pixels per second
     pixelsPerSecond: 3000, // Maximum px/sec when speed = 1
     
     // Conversion constants
-    pixelsPerInch: 96, // Standard screen resolution (96 DPI)
+    pixelsPerInch: 96, // Standard screen resolution (96 DPI); replaced by the screen calibration if there is one
     inchesPerMile: 63360, // 1 mile = 63,360 inches
     inchesPerKm: 39370.1, // 1 km = 39,370.1 inches
     secondsPerHour: 3600 // 1 hour = 3,600 seconds
   };
 
-  constructor() {
-    super();
-    this.init();
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.attach=true] - Listen to page input and run on the shared ticker.
+   *   Detached trackers (used by replayScrollInput) only move when fed and stepped by hand.
+   */
+  constructor({ attach = true } = {}) {
+    super('scrollTracker');
+    if (attach) this.init();
+  }
+  
+  /**
+   * Changes the physics model or input conversion. Unknown keys are ignored with a warning.
+   * @param {Object} options - Any of the keys of the default configuration; `input` is merged
+   * @returns {ScrollTracker} this, for chaining
+   */
+  configure(options = {}) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (!(key in this.#config)) {
+        console.warn(`[scrollTracker] Unknown option "${key}"`);
+        return;
+      }
+      if (key === 'input' || key === 'direction') {
+        this.#config[key] = { ...this.#config[key], ...value };
+      } else if (key === 'impulseCurve' && typeof value !== 'function' && !IMPULSE_CURVES[value]) {
+        console.warn(`[scrollTracker] Unknown impulse curve "${value}", expected one of ${Object.keys(IMPULSE_CURVES).join(', ')} or a function`);
+      } else {
+        this.#config[key] = value;
+      }
+    });
+    return this;
+  }
+  
+  /**
+   * Sets the screen density used for real-world speeds (km/h, mph).
+   * @param {number|null} pixelsPerInch - CSS pixels per inch; null for the 96 DPI default
+   */
+  setPixelsPerInch(pixelsPerInch) {
+    this.#conversion.pixelsPerInch = pixelsPerInch > 0 ? pixelsPerInch : 96;
+  }
+  
+  /**
+   * @returns {Object} A copy of the current configuration
+   */
+  getConfiguration() {
+    return { ...this.#config, input: { ...this.#config.input }, direction: { ...this.#config.direction } };
   }
   
   init() {
-      // Throttle wheel events: batch deltaY and process once per animation frame
-      let wheelTicking = false;
-      let wheelDelta = 0;
-      window.addEventListener("wheel", event => {
-        wheelDelta = event.deltaY;
-        if (!wheelTicking) {
-          wheelTicking = true;
-          requestAnimationFrame(() => {
-            this.onWheel({ deltaY: wheelDelta });
-            wheelTicking = false;
-          });
-        }
-      }, { passive: true });
-      requestAnimationFrame(this.update.bind(this));
+      // Input is batched and applied once per frame in update()
+      window.addEventListener("wheel", event => this.#handleWheel(event), { passive: true });
+      window.addEventListener("touchstart", event => this.#handleTouchStart(event), { passive: true });
+      window.addEventListener("touchmove", event => this.#handleTouchMove(event), { passive: true });
+      window.addEventListener("touchend", event => this.#handleTouchEnd(event), { passive: true });
+      window.addEventListener("touchcancel", event => this.#handleTouchEnd(event), { passive: true });
+      window.addEventListener("keydown", event => this.#handleKeyDown(event));
+      // Capture so scrolling inside any element is seen, not just the page
+      document.addEventListener("scroll", event => this.#handleNativeScroll(event), { capture: true, passive: true });
+      // Real-world speeds follow the screen calibration
+      this.setPixelsPerInch(getPixelsPerInch());
+      onCalibrationChange(pixelsPerInch => this.setPixelsPerInch(pixelsPerInch));
+      // Physics runs first in every frame so everything reading speed sees this frame's value
+      // Never paused, so the shared ticker runs every frame while the tab is visible
+      ticker.add(this.update.bind(this), { priority: PRIORITY.HIGH, name: 'scrollTracker' });
       
-      console.log('ScrollTracker initialized - listening for wheel events');
+      console.log('ScrollTracker initialized - listening for wheel, touch, keyboard and scroll input');
+  }
+  
+  // Queues signed wheel-equivalent pixels for the next frame; the strongest input of the frame wins
+  #queueInput(deltaX, deltaY, source, inertia = false) {
+    const pixels = Math.hypot(deltaX, deltaY);
+    if (!(pixels > 0)) return;
+    if (source !== 'native') this.#lastDirectInputTime = performance.now();
+    // Wheel, keys and native scrolling take over from a flick, as a new touch does
+    if (source !== 'touch') this.#touch.inertiaVelocity = 0;
+    this.#record({ type: 'input', deltaX, deltaY, pixels, source });
+    if (pixels >= this.#pendingInput.pixels) {
+      this.#pendingInput = { deltaX, deltaY, pixels, source, inertia };
+    }
+  }
+  
+  #handleWheel(event) {
+    let scale = 1;
+    if (event.deltaMode === 1) scale = this.#config.input.wheelLinePx;
+    if (event.deltaMode === 2) scale = window.innerHeight;
+    this.#queueInput((event.deltaX || 0) * scale, event.deltaY * scale, 'wheel');
+  }
+  
+  #handleTouchStart(event) {
+    if (event.touches.length !== 1) {
+      this.#touch.active = false; // Pinches and multi-finger gestures aren't scrolling
+      return;
+    }
+    this.#touch.active = true;
+    this.#touch.lastY = event.touches[0].clientY;
+    this.#touch.lastTime = performance.now();
+    this.#touch.samples = [];
+    this.#touch.inertiaVelocity = 0; // A new touch catches the flick
   }
   
-  // This method is called by native wheel events
-  onWheel(event) {
-    const delta = event.deltaY;
-    // Use raw impulse without capping and always positive
-    const rawImpulse = Math.abs(delta) / this.#config.scrollScalingFactor;
+  #handleTouchMove(event) {
+    if (!this.#touch.active || event.touches.length !== 1) return;
+    const y = event.touches[0].clientY;
+    const dy = this.#touch.lastY - y;
+    this.#touch.lastY = y;
+    
+    const now = performance.now();
+    const elapsed = Math.max(now - this.#touch.lastTime, 4); // ms; guards against bursts of events
+    this.#touch.lastTime = now;
+    this.#touch.samples.push({ time: now, dy });
+    const windowStart = now - this.#config.input.touchVelocityWindow;
+    while (this.#touch.samples.length && this.#touch.samples[0].time < windowStart) {
+      this.#touch.samples.shift();
+    }
+    
+    // Drag velocity as pixels per reference frame, so faster touch screens don't drag harder
+    const velocity = Math.sign(dy) * Math.min(Math.abs(dy) / elapsed * 1000, this.#config.input.touchMaxVelocity);
+    this.#queueInput(0, velocity * this.#config.input.touchScale / this.#config.referenceFps, 'touch');
+  }
+  
+  #handleTouchEnd(event) {
+    if (!this.#touch.active || event.touches.length > 0) return;
+    this.#touch.active = false;
+    
+    // Flick velocity from the last moments of the drag carries on as inertia
+    const samples = this.#touch.samples;
+    const windowStart = performance.now() - this.#config.input.touchVelocityWindow;
+    const recent = samples.filter(sample => sample.time >= windowStart);
+    if (recent.length < 2) return;
+    const distance = recent.reduce((sum, sample) => sum + sample.dy, 0);
+    const duration = Math.max(recent[recent.length - 1].time - recent[0].time, 16) / 1000;
+    const velocity = Math.sign(distance) * Math.min(Math.abs(distance / duration), this.#config.input.touchMaxVelocity);
+    this.flick(velocity * this.#config.input.touchScale);
+  }
+  
+  /**
+   * Starts touch-style inertia, as if a finger flicked and let go.
+   * @param {number} velocity - Signed wheel-equivalent px/s (positive = down)
+   */
+  flick(velocity) {
+    this.#record({ type: 'flick', velocity });
+    this.#touch.inertiaVelocity = velocity;
+  }
+  
+  /**
+   * Queues input for the next update, as if it came from a device.
+   * @param {number} deltaY - Signed wheel-equivalent pixels (positive = down)
+   * @param {string} [source='wheel'] - 'wheel' | 'touch' | 'keyboard' | 'native'
+   * @param {number} [deltaX=0] - Signed wheel-equivalent pixels (positive = right)
+   */
+  feed(deltaY, source = 'wheel', deltaX = 0) {
+    this.#queueInput(deltaX, deltaY, source);
+  }
+  
+  /**
+   * Starts recording input for replayScrollInput().
+   */
+  startRecording() {
+    this.#recording = { startTime: performance.now(), events: [] };
+    console.log('[scrollTracker] Recording input');
+  }
+  
+  /**
+   * Stops recording.
+   * @returns {{events: Array, durationMs: number, config: Object}|null} - The recording, or null if not recording
+   */
+  stopRecording() {
+    if (!this.#recording) return null;
+    const { startTime, events } = this.#recording;
+    this.#recording = null;
+    const durationMs = performance.now() - startTime;
+    console.log(`[scrollTracker] Recorded ${events.length} events over ${Math.round(durationMs)}ms`);
+    return { events, durationMs, config: this.getConfiguration() };
+  }
+  
+  #record(event) {
+    if (!this.#recording) return;
+    this.#recording.events.push({ time: performance.now() - this.#recording.startTime, ...event });
+  }
+  
+  #handleKeyDown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+    // Leave keys alone where they mean something else (typing, buttons, tab lists)
+    const target = event.target;
+    if (target instanceof Element &&
+        target.closest('input, textarea, select, button, a[href], [contenteditable], [role="tablist"]')) {
+      return;
+    }
+    
+    const { keyStepPx, keyPagePx } = this.#config.input;
+    switch (event.key) {
+      case 'ArrowUp':
+        this.#queueInput(0, -keyStepPx, 'keyboard');
+        break;
+      case 'ArrowDown':
+        this.#queueInput(0, keyStepPx, 'keyboard');
+        break;
+      case 'PageUp':
+        this.#queueInput(0, -keyPagePx, 'keyboard');
+        break;
+      case 'PageDown':
+        this.#queueInput(0, keyPagePx, 'keyboard');
+        break;
+      case ' ':
+        this.#queueInput(0, event.shiftKey ? -keyPagePx : keyPagePx, 'keyboard');
+        break;
+      default:
+        break;
+    }
+  }
+  
+  #handleNativeScroll(event) {
+    const target = event.target === document ? document.scrollingElement : event.target;
+    if (!target || typeof target.scrollTop !== 'number') return;
+    
+    const previous = this.#nativeScrollPositions.get(target);
+    const position = { top: target.scrollTop, left: target.scrollLeft || 0 };
+    this.#nativeScrollPositions.set(target, position);
+    if (previous === undefined) return;
+    
+    // Wheel, touch and keys scroll the page too; only count scrolling they didn't cause
+    if (performance.now() - this.#lastDirectInputTime < this.#config.input.nativeScrollQuietMs) return;
+    const scale = this.#config.input.nativeScrollScale;
+    this.#queueInput((position.left - previous.left) * scale, (position.top - previous.top) * scale, 'native');
+  }
+  
+  // Applies an impulse from wheel-equivalent deltaX/deltaY; kept public for callers that feed input directly
+  onWheel(event, source = 'wheel') {
+    this.#applyImpulse(event, source, false);
+  }
+  
+  // With keepStronger (inertia), the impulse only keeps a push going and never cuts a stronger one short
+  #applyImpulse(event, source, keepStronger) {
+    const deltaX = event.deltaX || 0;
+    const deltaY = event.deltaY || 0;
+    const magnitude = Math.hypot(deltaX, deltaY);
+    // Use raw impulse without capping and always positive; direction is handled separately
+    const rawImpulse = magnitude / this.#config.scrollScalingFactor;
+    const curve = typeof this.#config.impulseCurve === 'function' ?
+      this.#config.impulseCurve :
+      (IMPULSE_CURVES[this.#config.impulseCurve] || IMPULSE_CURVES.linear);
     
-    // Apply smoothing to the impulse for a more gradual effect
     // Note: we're storing the raw value for debugging
     this.#state.lastImpulse = rawImpulse;
+    this.#state.lastSource = source;
     
-    // Apply additional dampening to the acceleration for smoother movement
-    this.#state.acceleration = rawImpulse * 0.85; // Reduce impact of each scroll event by 15%
+    // Shape the impulse, then dampen it for smoother movement
+    const acceleration = Math.max(curve(rawImpulse), 0) * this.#config.impulseGain;
+    this.#state.acceleration = keepStronger ? Math.max(this.#state.acceleration, acceleration) : acceleration;
+    
+    if (magnitude > 0) this.#steer(deltaX / magnitude, deltaY / magnitude, rawImpulse, source);
     
     this.emit("scroll", { 
       normalizedAcceleration: this.#state.acceleration, 
       normalizedSpeed: this.#state.speed,
-      lastImpulse: this.#state.lastImpulse 
+      lastImpulse: this.#state.lastImpulse,
+      direction: { x: deltaX / (magnitude || 1), y: deltaY / (magnitude || 1) },
+      source
     });
   }
   
-  update() {
-    const dt = 0.016; // ~60fps
+  // Turns the heading towards an input's direction and emits reverse/brake/boost
+  #steer(directionX, directionY, rawImpulse, source) {
+    const config = this.#config.direction;
+    const heading = this.#state.heading;
+    const speed = this.#state.speed;
+    const moving = speed >= config.minSpeed;
+    const alignment = directionX * heading.x + directionY * heading.y;
+    
+    if (moving && alignment < config.brakeAlignment) {
+      this.#emitDirectionEvent('brake', { impulse: rawImpulse, source });
+    } else if (moving && alignment > 0 && rawImpulse >= config.boostImpulse) {
+      this.#emitDirectionEvent('boost', { impulse: rawImpulse, source });
+    }
     
-    // Integrate acceleration to update speed with smoother ramping
-    const accelerationImpact = this.#state.acceleration * dt;
-    // Apply a more gradual acceleration curve for smoother starts
-    this.#state.speed += accelerationImpact * (1 - this.#state.speed * 0.5);
+    // Momentum weighs against the new input, so a nudge against a fast heading doesn't flip it
+    const x = heading.x * speed + directionX * rawImpulse;
+    const y = heading.y * speed + directionY * rawImpulse;
+    const length = Math.hypot(x, y);
+    if (length === 0) return;
+    const next = { x: x / length, y: y / length };
+    this.#state.heading = next;
     
-    // Cap speed at max value
-    this.#state.speed = Math.min(this.#state.speed, this.#config.maxSpeed);
-    // Ensure speed is never negative
-    this.#state.speed = Math.max(this.#state.speed, 0);
+    // A reversal is a sign flip on the heading's main axis
+    const axis = Math.abs(heading.x) > Math.abs(heading.y) ? 'x' : 'y';
+    if (moving && Math.sign(next[axis]) !== Math.sign(heading[axis]) && next[axis] !== 0) {
+      this.#emitDirectionEvent('reverse', { axis, from: Math.sign(heading[axis]), to: Math.sign(next[axis]), source });
+    }
+  }
+  
+  #emitDirectionEvent(type, detail) {
+    if (this.#clock - this.#lastDirectionEvents[type] < this.#config.direction.cooldownMs) return;
+    this.#lastDirectionEvents[type] = this.#clock;
+    this.emit(type, { ...detail, normalizedSpeed: this.#state.speed, velocity: this.getVelocity() });
+  }
+  
+  // Feeds a released flick's momentum in as touch input, fading it out over time
+  #applyTouchInertia(dt) {
+    const touch = this.#touch;
+    if (touch.active || touch.inertiaVelocity === 0) return;
+    // Inertia is not recorded as input; replays recreate it from the flick
+    const recording = this.#recording;
+    this.#recording = null;
+    this.#queueInput(0, touch.inertiaVelocity / this.#config.referenceFps, 'touch', true);
+    this.#recording = recording;
+    touch.inertiaVelocity *= Math.exp(-this.#config.input.touchInertiaDecay * dt);
+    if (Math.abs(touch.inertiaVelocity) < this.#config.input.touchMinVelocity) touch.inertiaVelocity = 0;
+  }
+  
+  // Advances speed and acceleration by h seconds
+  #integrate(h) {
+    const config = this.#config;
     
-    // Apply friction decay to speed with improved dampening formula
-    // This provides stronger dampening at higher speeds
-    const dampFactor = 1 - dt * (this.#config.speedDecayRate * (1 + this.#state.speed));
-    this.#state.speed *= dampFactor;
+    // Integrate acceleration to update speed, tailing off as speed builds for smoother ramping
+    this.#state.speed += this.#state.acceleration * h * (1 - this.#state.speed * config.speedResponse);
+    
+    // Keep speed between 0 and the max
+    this.#state.speed = Math.min(Math.max(this.#state.speed, 0), config.maxSpeed);
+    
+    // Drag, stronger at higher speeds
+    this.#state.speed *= Math.exp(-h * config.drag * (1 + this.#state.speed));
     
     // Exponential decay on acceleration (higher value = faster decay)
-    this.#state.acceleration *= Math.exp(-this.#config.accelerationDecayRate * dt);
+    this.#state.acceleration *= Math.exp(-config.accelerationDecayRate * h);
+  }
+  
+  /**
+   * Advances the physics by one frame. Runs on the shared ticker when attached.
+   * @param {number} [timestamp] - Frame timestamp (unused; kept for the ticker signature)
+   * @param {number} [deltaMs=16.67] - Time since the previous frame
+   */
+  update(timestamp, deltaMs = 1000 / 60) {
+    // Real frame time, clamped so a long pause doesn't fling or stall the ship
+    const dt = Math.min(Math.max(deltaMs, 0) / 1000, this.#config.maxFrameTime);
+    this.#clock += dt * 1000;
+    
+    // Apply this frame's input before integrating
+    this.#applyTouchInertia(dt);
+    if (this.#pendingInput.pixels > 0) {
+      const { deltaX, deltaY, source, inertia } = this.#pendingInput;
+      this.#pendingInput = { deltaX: 0, deltaY: 0, pixels: 0, source: null, inertia: false };
+      this.#applyImpulse({ deltaX, deltaY }, source, inertia);
+    }
+    
+    // Fixed substeps, so the result is the same whatever the frame rate
+    if (dt > 0) {
+      const steps = Math.ceil(dt / this.#config.stepTime);
+      for (let i = 0; i < steps; i++) this.#integrate(dt / steps);
+    }
     
     // Calculate pixels per second first (our base measurement)
     const pxps = this.#state.speed * this.#conversion.pixelsPerSecond;
@@ -142,12 +483,11 @@ class ScrollTracker extends EventEmitter {
     this.emit("update", {
       normalizedSpeed: this.#state.speed,
       normalizedAcceleration: this.#state.acceleration,
+      velocity: this.getVelocity(),
       velocityKMH: kph,
       velocityMPH: mph,
       pixelsPerSecond: pxps
     });
-    
-    requestAnimationFrame(this.update.bind(this));
   }
   
   formatSpeed(speed) {
@@ -165,6 +505,15 @@ class ScrollTracker extends EventEmitter {
     return this.#state.acceleration;
   }
   
+  /**
+   * Signed velocity: the heading scaled by normalized speed.
+   * @returns {{x: number, y: number}} - Each -1 to 1; positive y = down, positive x = right
+   */
+  getVelocity() {
+    const { heading, speed } = this.#state;
+    return { x: heading.x * speed, y: heading.y * speed };
+  }
+  
   // Updated methods to get real-world speeds
   getMilesPerHour() {
     const pxps = this.#state.speed * this.#conversion.pixelsPerSecond;
@@ -186,6 +535,8 @@ class ScrollTracker extends EventEmitter {
       speed: this.#state.speed,
       acceleration: this.#state.acceleration,
       lastImpulse: this.#state.lastImpulse,
+      lastSource: this.#state.lastSource,
+      velocity: this.getVelocity(),
       velocityMS: this.getPixelsPerSecond() / this.#conversion.pixelsPerInch / 39.37, // m/s
       velocityKMH: this.getKilometersPerHour()
     };
@@ -201,6 +552,50 @@ export function getConfig() {
     };
 }
 
+/**
+ * Replays recorded input through a detached tracker at a fixed frame rate.
+ * Deterministic: the same recording, options and frame rate always give the same samples.
+ * @param {{events: Array, durationMs?: number, config?: Object}} recording - From scrollTracker.stopRecording()
+ * @param {Object} [options]
+ * @param {number} [options.fps=60] - Simulated frame rate
+ * @param {number} [options.durationMs] - How long to run; defaults to the recording's length plus 2s of coasting
+ * @param {Object} [options.config] - Configuration overrides, applied after the recording's own
+ * @returns {Array<{time: number, speed: number, acceleration: number, velocity: {x: number, y: number}}>} One sample per simulated frame
+ */
+export function replayScrollInput(recording, { fps = 60, durationMs, config } = {}) {
+  const tracker = new ScrollTracker({ attach: false });
+  if (recording.config) tracker.configure(recording.config);
+  if (config) tracker.configure(config);
+  
+  const frameMs = 1000 / fps;
+  const events = [...recording.events].sort((a, b) => a.time - b.time);
+  const lastEventTime = events.length ? events[events.length - 1].time : 0;
+  const totalMs = durationMs ?? Math.max(recording.durationMs || 0, lastEventTime) + 2000;
+  const samples = [];
+  let nextEvent = 0;
+  
+  for (let time = frameMs; time <= totalMs; time += frameMs) {
+    // Deliver everything that happened before this frame, as the browser would
+    while (nextEvent < events.length && events[nextEvent].time <= time) {
+      const event = events[nextEvent++];
+      if (event.type === 'flick') {
+        tracker.flick(event.velocity);
+      } else {
+        // Recordings from before direction was tracked only have pixels (downwards)
+        tracker.feed(event.deltaY ?? event.pixels, event.source, event.deltaX || 0);
+      }
+    }
+    tracker.update(time, frameMs);
+    samples.push({
+      time,
+      speed: tracker.getNormalizedSpeed(),
+      acceleration: tracker.getNormalizedAcceleration(),
+      velocity: tracker.getVelocity()
+    });
+  }
+  return samples;
+}
+
 const scrollTracker = new ScrollTracker();
 // Attach getConfig to the instance so that scrollTracker.getConfig() becomes available
 scrollTracker.getConfig = getConfig;
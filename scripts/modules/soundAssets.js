@@ -0,0 +1,109 @@
+/**
+ * Sound Assets Module
+ * --------------------
+ * Resolves sound file URLs and synthesizes stand-ins when a file can't be loaded.
+ *
+ * This module:
+ * - Resolves files in `assets/sounds/` relative to the script, so the site works on any host
+ * - Uses the content-hashed copies build.js writes next to the bundle when bundled
+ * - Renders simple Web Audio buffers to play instead of a file that failed to load
+ *   (offline, blocked or missing on a staging host)
+ *
+ * build.js replaces __SOUND_MANIFEST__ with a map of original file names to hashed
+ * paths relative to the bundle, e.g. { "press.mp3": "assets/sounds/press.1a2b3c4d.mp3" }.
+ */
+
+/* global __SOUND_MANIFEST__ */
+const SOUND_MANIFEST = typeof __SOUND_MANIFEST__ !== 'undefined' ? __SOUND_MANIFEST__ : null;
+
+// The bundle is a classic script, so currentScript is only set while it first evaluates
+const bundleScript = document.currentScript;
+
+/**
+ * Returns the URL to load a sound file from.
+ * @param {string} fileName - File name in assets/sounds, e.g. 'press.mp3'
+ * @returns {string}
+ */
+export function getSoundUrl(fileName) {
+  // Bundled, import.meta.url is replaced with undefined; resolve from the bundle's <script>,
+  // or the page if that's unknown (e.g. the bundle was loaded as a module)
+  const bundleBase = (bundleScript && bundleScript.src) || document.baseURI;
+  try {
+    if (SOUND_MANIFEST && SOUND_MANIFEST[fileName]) {
+      return new URL(SOUND_MANIFEST[fileName], bundleBase).href;
+    }
+    if (import.meta.url) {
+      // Unbundled ES modules: resolve from this file (scripts/modules/) to the repo's assets
+      return new URL(`../../assets/sounds/${fileName}`, import.meta.url).href;
+    }
+    // Bundled but missing from the manifest: the unhashed name next to the bundle
+    return new URL(`assets/sounds/${encodeURIComponent(fileName)}`, bundleBase).href;
+  } catch (error) {
+    console.warn(`[soundAssets] Could not resolve a URL for ${fileName}:`, error);
+    return `assets/sounds/${encodeURIComponent(fileName)}`;
+  }
+}
+
+/**
+ * Renders a mono buffer from a sample function.
+ * @param {AudioContext} audioContext
+ * @param {number} duration - Length in seconds
+ * @param {Function} sampleAt - (time in seconds) => sample in [-1, 1]
+ * @returns {AudioBuffer}
+ */
+function renderBuffer(audioContext, duration, sampleAt) {
+  const sampleRate = audioContext.sampleRate;
+  const buffer = audioContext.createBuffer(1, Math.ceil(duration * sampleRate), sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = sampleAt(i / sampleRate);
+  }
+  return buffer;
+}
+
+const TWO_PI = Math.PI * 2;
+
+// Stand-ins for each sound. Ambient frequencies complete whole cycles over the
+// loop length, so the buffer loops without a click.
+const FALLBACK_SOUNDS = {
+  ambient: {
+    duration: 8,
+    sampleAt: t => {
+      const swell = 0.75 + 0.25 * Math.sin(TWO_PI * 0.125 * t);
+      const shimmer = 0.5 + 0.5 * Math.sin(TWO_PI * 0.25 * t);
+      return swell * (
+        0.12 * Math.sin(TWO_PI * 55 * t) +
+        0.08 * Math.sin(TWO_PI * 82.5 * t) +
+        0.05 * shimmer * Math.sin(TWO_PI * 110 * t)
+      );
+    }
+  },
+  hover: {
+    duration: 0.04,
+    sampleAt: t => 0.3 * Math.exp(-t * 90) * Math.sin(TWO_PI * 1800 * t)
+  },
+  press: {
+    duration: 0.06,
+    sampleAt: t => Math.exp(-t * 70) * (0.4 * Math.sin(TWO_PI * 600 * t) + 0.15 * (Math.random() * 2 - 1))
+  },
+  confirm: {
+    duration: 0.16,
+    sampleAt: t => {
+      const frequency = t < 0.07 ? 880 : 1320;
+      const envelope = Math.exp(-(t < 0.07 ? t : t - 0.07) * 35);
+      return 0.3 * envelope * Math.sin(TWO_PI * frequency * t);
+    }
+  }
+};
+
+/**
+ * Synthesizes a stand-in buffer for a sound that failed to load.
+ * @param {AudioContext} audioContext
+ * @param {string} kind - 'ambient', 'hover', 'press' or 'confirm'
+ * @returns {AudioBuffer|null}
+ */
+export function synthesizeFallback(audioContext, kind) {
+  const sound = FALLBACK_SOUNDS[kind];
+  if (!audioContext || !sound) return null;
+  return renderBuffer(audioContext, sound.duration, sound.sampleAt);
+}
@@ -0,0 +1,228 @@
+/**
+ * Sound Library Module
+ * --------------------
+ * Manifest-driven loader for short sounds, with support for sound sprites.
+ *
+ * A manifest has two parts:
+ * - sources: audio files, by name. A source can hold one sound or many (a sprite).
+ * - cues: named sounds. A cue points at a source and, for sprites, an offset and
+ *   duration in seconds within it.
+ *
+ *   {
+ *     sources: {
+ *       ui: { file: 'ui-sprite.mp3' }
+ *     },
+ *     cues: {
+ *       hover: { source: 'ui', offset: 0, duration: 0.08, priority: 'high', fallback: 'hover' },
+ *       press: { source: 'ui', offset: 0.5, duration: 0.12, priority: 'high', fallback: 'press' }
+ *     }
+ *   }
+ *
+ * Cue options:
+ * - priority: 'high' | 'normal' | 'low' - sources needed by higher priority cues load first
+ * - fallback: kind of synthesized stand-in to use if the source fails (see soundAssets.js)
+ * - offset / duration: position of the cue within its source; omit to play the whole file
+ *
+ * Files are decoded once per URL, however many cues or libraries use them.
+ *
+ * Usage:
+ *   const library = createSoundLibrary(manifest);
+ *   library.onProgress(({ loaded, total }) => console.log(`${loaded}/${total}`));
+ *   await library.load(audioContext);
+ *   const cue = library.getCue('press'); // { buffer, offset, duration }
+ *   source.start(0, cue.offset, cue.duration);
+ */
+
+import { getSoundUrl, synthesizeFallback } from './soundAssets.js';
+
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+const MAX_CONCURRENT_LOADS = 2;
+
+// url -> Promise<AudioBuffer>, shared by every library
+const decodeCache = new Map();
+
+/**
+ * Fetches and decodes a sound file, reusing an earlier decode of the same URL.
+ * Failed loads are not cached, so a later call can try again.
+ * @param {AudioContext} audioContext
+ * @param {string} url
+ * @returns {Promise<AudioBuffer>}
+ */
+export function decodeSound(audioContext, url) {
+  if (decodeCache.has(url)) return decodeCache.get(url);
+
+  const promise = fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      return response.arrayBuffer();
+    })
+    .then(arrayBuffer => audioContext.decodeAudioData(arrayBuffer));
+
+  decodeCache.set(url, promise);
+  promise.catch(() => decodeCache.delete(url));
+  return promise;
+}
+
+/**
+ * Creates a sound library for a manifest.
+ * @param {Object} manifest - { sources, cues }, see the module header
+ * @param {Object} [options]
+ * @param {Function} [options.resolveUrl=getSoundUrl] - Maps a source's file name to a URL
+ * @returns {{load: Function, ensure: Function, getCue: Function, has: Function, getProgress: Function, onProgress: Function}}
+ */
+export function createSoundLibrary(manifest, { resolveUrl = getSoundUrl } = {}) {
+  const sources = new Map(); // name -> { url, priority, status, buffer, promise }
+  const cues = new Map();    // name -> cue definition
+  const listeners = new Set();
+  let audioContext = null;
+  let loadPromise = null;
+
+  Object.entries(manifest.cues || {}).forEach(([name, cue]) => {
+    const definition = manifest.sources && manifest.sources[cue.source];
+    if (!definition) {
+      console.warn(`[soundLibrary] Cue "${name}" uses unknown source "${cue.source}"`);
+      return;
+    }
+    cues.set(name, { priority: 'normal', offset: 0, ...cue });
+
+    // A source loads at the highest priority of any cue that uses it
+    const priority = cue.priority in PRIORITY_ORDER ? cue.priority : 'normal';
+    const source = sources.get(cue.source);
+    if (!source) {
+      sources.set(cue.source, {
+        url: resolveUrl(definition.file),
+        priority,
+        status: 'pending', // 'pending' | 'loading' | 'loaded' | 'failed'
+        buffer: null,
+        promise: null
+      });
+    } else if (PRIORITY_ORDER[priority] < PRIORITY_ORDER[source.priority]) {
+      source.priority = priority;
+    }
+  });
+
+  function getProgress() {
+    let loaded = 0;
+    let failed = 0;
+    sources.forEach(source => {
+      if (source.status === 'loaded') loaded++;
+      if (source.status === 'failed') failed++;
+    });
+    return { loaded, failed, total: sources.size, complete: loaded + failed === sources.size };
+  }
+
+  function notify(sourceName) {
+    const progress = { ...getProgress(), source: sourceName };
+    listeners.forEach(listener => {
+      try {
+        listener(progress);
+      } catch (error) {
+        console.error('[soundLibrary] Error in progress listener:', error);
+      }
+    });
+  }
+
+  function loadSource(name) {
+    const source = sources.get(name);
+    if (source.promise) return source.promise;
+
+    source.status = 'loading';
+    source.promise = decodeSound(audioContext, source.url)
+      .then(buffer => {
+        source.buffer = buffer;
+        source.status = 'loaded';
+        return true;
+      })
+      .catch(error => {
+        console.warn(`[soundLibrary] Could not load ${source.url}, cues will use synthesized stand-ins:`, error);
+        source.status = 'failed';
+        // Let a later ensure() try again; the cue plays its stand-in meanwhile
+        source.promise = null;
+        return false;
+      })
+      .then(success => {
+        notify(name);
+        return success;
+      });
+    return source.promise;
+  }
+
+  /**
+   * Loads every source, highest priority first, a few at a time.
+   * @param {AudioContext} context
+   * @returns {Promise<boolean>} - Whether at least one source loaded
+   */
+  function load(context) {
+    if (loadPromise) return loadPromise;
+    audioContext = context;
+
+    const queue = [...sources.keys()].sort(
+      (a, b) => PRIORITY_ORDER[sources.get(a).priority] - PRIORITY_ORDER[sources.get(b).priority]
+    );
+    const worker = async () => {
+      while (queue.length) {
+        await loadSource(queue.shift());
+      }
+    };
+    const workers = Array.from({ length: Math.min(MAX_CONCURRENT_LOADS, queue.length) }, worker);
+
+    loadPromise = Promise.all(workers).then(() => {
+      const { loaded, failed, total } = getProgress();
+      console.log(`[soundLibrary] Loaded ${loaded}/${total} sources${failed ? ` (${failed} failed)` : ''}`);
+      return loaded > 0;
+    });
+    return loadPromise;
+  }
+
+  /**
+   * Starts loading a cue's source straight away, ahead of the queue.
+   * @param {string} name - Cue name
+   * @returns {Promise<boolean>}
+   */
+  function ensure(name) {
+    const cue = cues.get(name);
+    if (!cue || !audioContext) return Promise.resolve(false);
+    return loadSource(cue.source);
+  }
+
+  /**
+   * Returns what's needed to play a cue, or null while its source is still loading.
+   * If the source failed, the cue's synthesized fallback is returned instead.
+   * @param {string} name - Cue name
+   * @returns {{buffer: AudioBuffer, offset: number, duration: (number|undefined)}|null}
+   */
+  function getCue(name) {
+    const cue = cues.get(name);
+    if (!cue) return null;
+    const source = sources.get(cue.source);
+
+    if (source.status === 'loaded') {
+      return { buffer: source.buffer, offset: cue.offset, duration: cue.duration };
+    }
+    if (source.status === 'failed' && cue.fallback) {
+      if (!cue.fallbackBuffer) cue.fallbackBuffer = synthesizeFallback(audioContext, cue.fallback);
+      return cue.fallbackBuffer ? { buffer: cue.fallbackBuffer, offset: 0, duration: undefined } : null;
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} name - Cue name
+   * @returns {boolean} - Whether the manifest defines this cue
+   */
+  function has(name) {
+    return cues.has(name);
+  }
+
+  /**
+   * Subscribes to load progress.
+   * @param {Function} listener - Called with { loaded, failed, total, complete, source } as each source finishes
+   * @returns {Function} - Unsubscribe function
+   */
+  function onProgress(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { load, ensure, getCue, has, getProgress, onProgress };
+}
@@ -0,0 +1,301 @@
+/**
+ * Sound Mixer Module
+ * --------------------
+ * Named volume buses for the sound system, each with its own gain, mute and solo.
+ *
+ * Buses:
+ * - ambient: Background ambience loop
+ * - engine:  Scroll-driven engine noise
+ * - ui:      Button hover/press/confirm sounds
+ * - speech:  Robot speech blips
+ * - typing:  Intro typing blips
+ *
+ * sounds.js attaches the mixer to its AudioContext and connects every sound to the
+ * input of its bus. Levels and mutes are saved to localStorage; solo is a temporary
+ * monitoring aid and is not saved.
+ *
+ * Usage:
+ *   mixer.setGain('ambient', 0.5);
+ *   mixer.setMute('ui', true);
+ *   mixer.setSolo('speech', true);
+ *   mixer.onChange(state => console.log(state));
+ *
+ * Optional panel markup: an empty element with `data-sound-mixer`, filled by initMixerPanel().
+ */
+
+export const BUSES = ['ambient', 'engine', 'ui', 'speech', 'typing'];
+
+const STORAGE_KEY = 'sound-mixer';
+const GAIN_SMOOTHING = 0.02; // Time constant (s) for gain changes, to avoid clicks
+const BUS_LABELS = {
+  ambient: 'Ambient',
+  engine: 'Engine',
+  ui: 'Buttons',
+  speech: 'Robot',
+  typing: 'Typing'
+};
+
+class SoundMixer {
+  #audioContext = null;
+  #nodes = new Map(); // bus -> GainNode
+  #buses = new Map(); // bus -> { gain, muted, solo }
+  #listeners = new Set();
+
+  constructor() {
+    BUSES.forEach(bus => this.#buses.set(bus, { gain: 1, muted: false, solo: false }));
+    this.#load();
+  }
+
+  /**
+   * Creates a gain node per bus, all feeding into the given destination.
+   * Safe to call again with the same context.
+   * @param {AudioContext} audioContext
+   * @param {AudioNode} destination - Usually the master gain node
+   */
+  attach(audioContext, destination) {
+    if (this.#audioContext === audioContext) return;
+    this.#audioContext = audioContext;
+    this.#nodes.clear();
+
+    BUSES.forEach(bus => {
+      const node = audioContext.createGain();
+      node.gain.setValueAtTime(this.getEffectiveGain(bus), audioContext.currentTime);
+      node.connect(destination);
+      this.#nodes.set(bus, node);
+    });
+    console.log(`[soundMixer] Attached ${BUSES.length} buses`);
+  }
+
+  /**
+   * Returns the node sounds for a bus should connect to.
+   * @param {string} bus - One of BUSES
+   * @returns {GainNode|null} - null until attach() has been called
+   */
+  getInput(bus) {
+    return this.#nodes.get(bus) || null;
+  }
+
+  /**
+   * Sets a bus's level.
+   * @param {string} bus - One of BUSES
+   * @param {number} value - 0 to 1
+   */
+  setGain(bus, value) {
+    this.#update(bus, { gain: Math.min(Math.max(Number(value) || 0, 0), 1) });
+  }
+
+  /**
+   * @param {string} bus - One of BUSES
+   * @returns {number} - The bus's level, ignoring mute and solo
+   */
+  getGain(bus) {
+    return this.#getBus(bus).gain;
+  }
+
+  /**
+   * @param {string} bus - One of BUSES
+   * @param {boolean} muted
+   */
+  setMute(bus, muted) {
+    this.#update(bus, { muted: Boolean(muted) });
+  }
+
+  /**
+   * @param {string} bus - One of BUSES
+   * @returns {boolean}
+   */
+  isMuted(bus) {
+    return this.#getBus(bus).muted;
+  }
+
+  /**
+   * While any bus is soloed, only soloed buses are heard.
+   * @param {string} bus - One of BUSES
+   * @param {boolean} solo
+   */
+  setSolo(bus, solo) {
+    this.#update(bus, { solo: Boolean(solo) });
+  }
+
+  /**
+   * @param {string} bus - One of BUSES
+   * @returns {boolean}
+   */
+  isSoloed(bus) {
+    return this.#getBus(bus).solo;
+  }
+
+  /**
+   * The level a bus is actually playing at, after mute and solo.
+   * @param {string} bus - One of BUSES
+   * @returns {number}
+   */
+  getEffectiveGain(bus) {
+    const state = this.#getBus(bus);
+    const anySolo = BUSES.some(name => this.#buses.get(name).solo);
+    if (state.muted || (anySolo && !state.solo)) return 0;
+    return state.gain;
+  }
+
+  /**
+   * Whether anything played on a bus would be heard; lets callers skip building sounds.
+   * @param {string} bus - One of BUSES
+   * @returns {boolean}
+   */
+  isAudible(bus) {
+    return this.getEffectiveGain(bus) > 0;
+  }
+
+  /**
+   * @returns {Object} - { [bus]: { gain, muted, solo, effectiveGain } }
+   */
+  getState() {
+    const state = {};
+    BUSES.forEach(bus => {
+      state[bus] = { ...this.#buses.get(bus), effectiveGain: this.getEffectiveGain(bus) };
+    });
+    return state;
+  }
+
+  /**
+   * Restores every bus to full level, unmuted and not soloed.
+   */
+  reset() {
+    BUSES.forEach(bus => this.#buses.set(bus, { gain: 1, muted: false, solo: false }));
+    this.#apply();
+  }
+
+  /**
+   * Subscribes to mixer changes.
+   * @param {Function} listener - Called with getState() after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  onChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  #getBus(bus) {
+    const state = this.#buses.get(bus);
+    if (!state) throw new Error(`[soundMixer] Unknown bus "${bus}"`);
+    return state;
+  }
+
+  #update(bus, changes) {
+    Object.assign(this.#getBus(bus), changes);
+    this.#apply();
+  }
+
+  // Pushes effective gains to the audio graph, saves and notifies (solo affects every bus)
+  #apply() {
+    if (this.#audioContext) {
+      const now = this.#audioContext.currentTime;
+      this.#nodes.forEach((node, bus) => {
+        node.gain.setTargetAtTime(this.getEffectiveGain(bus), now, GAIN_SMOOTHING);
+      });
+    }
+    this.#save();
+
+    const state = this.getState();
+    this.#listeners.forEach(listener => listener(state));
+  }
+
+  #save() {
+    const saved = {};
+    this.#buses.forEach(({ gain, muted }, bus) => {
+      saved[bus] = { gain, muted };
+    });
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('[soundMixer] Could not save mixer levels:', error);
+    }
+  }
+
+  #load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (!saved) return;
+      BUSES.forEach(bus => {
+        if (!saved[bus]) return;
+        const state = this.#buses.get(bus);
+        if (typeof saved[bus].gain === 'number') state.gain = Math.min(Math.max(saved[bus].gain, 0), 1);
+        if (typeof saved[bus].muted === 'boolean') state.muted = saved[bus].muted;
+      });
+    } catch (error) {
+      console.warn('[soundMixer] Could not read saved mixer levels:', error);
+    }
+  }
+}
+
+export const mixer = new SoundMixer();
+
+let panelCount = 0; // Numbers each panel's slider ids
+
+/**
+ * Builds a small mixer panel (a level slider plus mute and solo buttons per bus)
+ * inside every `[data-sound-mixer]` element. Does nothing if there are none.
+ * @param {string} [selector='[data-sound-mixer]']
+ */
+export function initMixerPanel(selector = '[data-sound-mixer]') {
+  const containers = document.querySelectorAll(selector);
+  if (!containers.length) return;
+
+  containers.forEach(container => {
+    if (container.dataset.mixerReady) return;
+    container.dataset.mixerReady = 'true';
+    const panelId = panelCount++;
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', 'Sound mixer');
+
+    const controls = BUSES.map(bus => {
+      const row = document.createElement('div');
+      row.className = 'sound-mixer__bus';
+      row.dataset.bus = bus;
+
+      const label = document.createElement('label');
+      label.className = 'sound-mixer__label';
+      label.textContent = BUS_LABELS[bus];
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '0';
+      slider.max = '1';
+      slider.step = '0.01';
+      slider.className = 'sound-mixer__level';
+      slider.id = `sound-mixer-${panelId}-${bus}`; // Unique when there's more than one panel
+      label.htmlFor = slider.id;
+      slider.addEventListener('input', () => mixer.setGain(bus, slider.value));
+
+      const muteButton = document.createElement('button');
+      muteButton.type = 'button';
+      muteButton.className = 'sound-mixer__mute';
+      muteButton.textContent = 'M';
+      muteButton.setAttribute('aria-label', `Mute ${BUS_LABELS[bus]}`);
+      muteButton.addEventListener('click', () => mixer.setMute(bus, !mixer.isMuted(bus)));
+
+      const soloButton = document.createElement('button');
+      soloButton.type = 'button';
+      soloButton.className = 'sound-mixer__solo';
+      soloButton.textContent = 'S';
+      soloButton.setAttribute('aria-label', `Solo ${BUS_LABELS[bus]}`);
+      soloButton.addEventListener('click', () => mixer.setSolo(bus, !mixer.isSoloed(bus)));
+
+      row.append(label, slider, muteButton, soloButton);
+      container.appendChild(row);
+      return { bus, slider, muteButton, soloButton };
+    });
+
+    const render = state => {
+      controls.forEach(({ bus, slider, muteButton, soloButton }) => {
+        slider.value = String(state[bus].gain);
+        muteButton.setAttribute('aria-pressed', String(state[bus].muted));
+        soloButton.setAttribute('aria-pressed', String(state[bus].solo));
+      });
+    };
+    render(mixer.getState());
+    mixer.onChange(render);
+  });
+
+  console.log(`[soundMixer] Panel initialized in ${containers.length} element(s)`);
+}
@@ -3,12 +3,18 @@
  * 
  * This module manages an interactive sound system with ambient background audio and
  * a dynamic engine sound that responds to user scrolling behavior. It includes:
- * - Ambient sound with speed-based pitch modulation
+ * - Ambient sound with speed-based pitch modulation, optionally layered with a generative soundscape
  * - Engine/scrolly sounds with frequency and volume tied to scroll speed
  * - Auto-fade on user inactivity
  * - Sound toggle controls with UI interaction
+ * - Remembers the visitor's sound on/off choice across visits (localStorage, with expiry)
+ * - Routes every sound through a named mixer bus (ambient, engine, ui, speech, typing)
+ * - Pans button and widget sounds to where the control (or the cursor) is on screen
+ * - Loads UI sounds from a manifest of named cues (sprites supported), see soundLibrary.js
+ * - Gives the robot a formant-synthesized voice with sentence pitch contours, see robotVoice.js
+ * - Taps the master bus with an analyser (band levels and onsets) for audio-reactive visuals
  * 
- * Dependencies: scrollTracker.js
+ * Dependencies: scrollTracker.js, cursorTracker.js, soundAssets.js, soundLibrary.js, soundMixer.js, generativeAmbient.js, robotVoice.js, audioAnalyser.js
  */
 
 // sounds.js
@@ -20,19 +26,31 @@ console.log("Sound system module initialized");
 
 // Import the scroll tracker to use the spaceship velocity for modulation
 import { scrollTracker } from './scrollTracker.js';
+import { cursorXPercent, cursorEvents, markActivity } from './cursorTracker.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { getSoundUrl, synthesizeFallback } from './soundAssets.js';
+import { createSoundLibrary, decodeSound } from './soundLibrary.js';
+import { mixer, initMixerPanel } from './soundMixer.js';
+import { createGenerativeAmbient } from './generativeAmbient.js';
+import { createRobotVoice } from './robotVoice.js';
+import { audioAnalyser } from './audioAnalyser.js';
 
 // Create a custom event so that other parts of the app can listen for sound choice changes
 const SOUND_CHOICE_MADE = 'soundChoiceMade';
+// Fired on window as each UI sound file finishes loading; detail is the library's progress
+const SOUND_LOAD_PROGRESS = 'soundLoadProgress';
+// The sound prompt's ON/OFF buttons; wrap them in [data-sound-prompt] to hide the whole prompt on return
+const SOUND_PROMPT_BUTTONS = '#button-sound-on, #button-sound-off';
+const SOUND_PROMPT_SELECTOR = '[data-sound-prompt]';
 
 // Global Variables
 let audioContext = null;
 let ambientSource = null;
 let engineSource = null; // Renamed from noiseSource for clarity
 let isUserActive = false;
-let idleTimeout = null;
 let isSoundEnabled = false;
-let animationFrameId = null;
-let activityEventListeners = [];
+let soundUpdateHandle = null; // Shared ticker handle for updateSoundParameters
+let activityUnsubscribers = []; // cursorEvents subscriptions, removed on cleanup
 
 // Add visibility tracking variables
 let isPageVisible = true;
@@ -43,15 +61,21 @@ let masterGainNode = null; // Master gain node for all sounds
 // Global scroll speed (in km/h) updated by scrollTracker; used to adjust sound parameters
 let scrollSpeed = 0;
 let engineStarted = false; // Flag to track if engine has properly started
+let soundChoiceMade = false; // Set once the visitor chooses, or a saved choice is restored
+let disarmFirstGesture = null; // Removes the first-gesture listeners armed for a restored "on" choice
 
 // Configuration settings with optimized audio parameters
 const CONFIG = {
   fadeDuration: 1,      // Increased for smoother transitions
-  idleTimeout: 3000,      // 3 seconds idle timeout
+  scrollActivitySpeed: 0.01, // Normalized scroll speed that counts as activity (idle timeout is cursorTracker's)
   visibilityTimeout: 2000, // 2 seconds before fading on visibility change
   visibilityFadeDuration: 1.5, // Longer for smoother page visibility fades
+  soundChoice: {
+    storageKey: 'sound-choice',
+    maxAgeDays: 30 // Ask again after this long
+  },
   ambient: {
-    url: "https://becktothefuture.github.io/personal-website-25/assets/sounds/ambience.mp3",
+    url: getSoundUrl("ambience.mp3"),
     targetVolume: 1,
     // Direct speed-based pitch shift only
     minPitch: 0.8,
@@ -59,6 +83,15 @@ const CONFIG = {
     initialFade: 1.0,
     loopOverlap: 0.5
   },
+  // Procedural layer that crossfades with the ambience file (see generativeAmbient.js).
+  // Off by default, so the ambience sounds as it always has; set to true to layer it in
+  generativeAmbient: {
+    enabled: false,
+    level: 0.25,             // Loudness of the generative layer relative to the file
+    crossfadeTime: 12,       // Seconds per crossfade
+    crossfadeInterval: 30000, // Average ms between crossfades
+    minBlend: 0.3            // Generative share never drops below this
+  },
   engine: {
     minVolume: 0.05,      
     maxVolume: 1,      
@@ -79,7 +112,14 @@ const CONFIG = {
   },
   robotSpeech: {
     enabled: true,
+    bus: 'speech',
     volume: 0.15,
+    // Formant voice (robotVoice.js); when disabled the robot falls back to simple beeps
+    voice: {
+      enabled: true,
+      volume: 0.5,           // Formant filters take a lot of level out of the source
+      defaultPreset: 'standard'
+    },
     baseFrequency: 400,
     vowelModifier: 1,
     consonantModifier: 0.5,
@@ -96,6 +136,7 @@ const CONFIG = {
   // Add intro typing sound configuration
   introTyping: {
     enabled: true,
+    bus: 'typing',
     volume: 0.04,
     baseFrequency: 700, // Higher frequency than robot speech
     vowelModifier: 1,
@@ -116,10 +157,25 @@ const CONFIG = {
     enabled: true,
     volume: 0.5,
     hoverCooldown: 150, // ms between hover sounds to prevent spamming
-    urls: {
-      hover: "https://becktothefuture.github.io/personal-website-25/assets/sounds/rollover.mp3",
-      press: "https://becktothefuture.github.io/personal-website-25/assets/sounds/press.mp3",
-      confirm: "https://becktothefuture.github.io/personal-website-25/assets/sounds/confirm.mp3"
+    // Stereo placement from the control's horizontal position on screen
+    spatial: {
+      enabled: true,
+      width: 0.7,         // Pan at the screen edges (1 = hard left/right)
+      cursorWeight: 0.25  // How far the cursor pulls an element's sound towards it
+    },
+    // Named cues played with buttonSounds.play(name); adding a sound is a new entry here.
+    // Cues can share one sprite file using offset/duration (seconds), see soundLibrary.js
+    manifest: {
+      sources: {
+        rollover: { file: "rollover.mp3" },
+        press: { file: "press.mp3" },
+        confirm: { file: "confirm.mp3" }
+      },
+      cues: {
+        hover: { source: "rollover", priority: "high", fallback: "hover" },
+        press: { source: "press", priority: "high", fallback: "press" },
+        confirm: { source: "confirm", priority: "normal", fallback: "confirm" }
+      }
     }
   },
   // Enhanced fade control to prevent clicks and pops
@@ -140,23 +196,19 @@ let soundToggle = document.querySelector('.sound-toggle');
 let soundToggleKnob = soundToggle ? soundToggle.querySelector('.sound-toggle__knob') : null;
 let soundToggleLight = soundToggleKnob ? soundToggleKnob.querySelector('.knob-light') : null;
 
-// Add these variables for robot speech at the top with other global variables
-let robotSpeechEnabled = CONFIG.robotSpeech.enabled;
+// Robot speech on/off for this page load (robotSpeech.toggle()). Kept apart from the
+// mixer's speech bus mute, which is a saved setting, so the toggle isn't remembered.
+let robotSpeechEnabled = true;
 let robotToggleCallback = null;
+let robotVoice = null; // Created with the first utterance once there is an AudioContext
 let audioInitialized = false;
 
-// Add these variables for button sounds
-let buttonSoundBuffers = {
-  hover: null,
-  press: null,
-  confirm: null
-};
+// Button sounds, loaded from the manifest in CONFIG.buttonSounds
+const uiSoundLibrary = createSoundLibrary(CONFIG.buttonSounds.manifest);
+uiSoundLibrary.onProgress(progress => {
+  window.dispatchEvent(new CustomEvent(SOUND_LOAD_PROGRESS, { detail: progress }));
+});
 let lastHoverSound = 0; // Timestamp to throttle hover sounds
-let buttonSoundsLoaded = false;
-let buttonSoundsLoading = false;
-
-// Add this to the global variables
-let introTypingEnabled = CONFIG.introTyping.enabled;
 
 // Global flag for all sound types to check before playing
 let allSoundsActive = true;
@@ -252,6 +304,8 @@ async function createAudioContext() {
       masterGainNode = audioContext.createGain();
       masterGainNode.gain.setValueAtTime(1, audioContext.currentTime);
       masterGainNode.connect(audioContext.destination);
+      mixer.attach(audioContext, masterGainNode);
+      audioAnalyser.attach(audioContext, masterGainNode);
     }
     return audioContext;
   } catch (error) {
@@ -260,6 +314,15 @@ async function createAudioContext() {
   }
 }
 
+/**
+ * Returns the node a sound on the given mixer bus should connect to.
+ * @param {string} bus - Mixer bus name (see soundMixer.js).
+ * @returns {AudioNode}
+ */
+function getBusInput(bus) {
+  return mixer.getInput(bus) || masterGainNode || audioContext.destination;
+}
+
 // ----------------------------------------------------------------------------------------------------
 // VISIBILITY CHANGE HANDLING
 // ----------------------------------------------------------------------------------------------------
@@ -360,16 +423,6 @@ function handlePageHidden() {
                 }
             }, CONFIG.visibilityFadeDuration * 1000);
         }
-
-        // Save previous sound states for restoration
-        if (visibilityFadeNode) {
-            visibilityFadeNode._robotSpeechWasEnabled = robotSpeechEnabled;
-            visibilityFadeNode._introTypingWasEnabled = introTypingEnabled;
-            
-            // Disable all specific sound types
-            robotSpeechEnabled = false;
-            introTypingEnabled = false;
-        }
     }, CONFIG.visibilityTimeout);
 }
 
@@ -381,19 +434,6 @@ function handlePageVisible() {
     isPageVisible = true;
     allSoundsActive = true; // Re-enable ALL sounds when page visible
   
-    // Restore sound states if they were enabled before
-    if (visibilityFadeNode) {
-        if (visibilityFadeNode._robotSpeechWasEnabled) {
-            robotSpeechEnabled = visibilityFadeNode._robotSpeechWasEnabled;
-            delete visibilityFadeNode._robotSpeechWasEnabled;
-        }
-        
-        if (visibilityFadeNode._introTypingWasEnabled) {
-            introTypingEnabled = visibilityFadeNode._introTypingWasEnabled;
-            delete visibilityFadeNode._introTypingWasEnabled;
-        }
-    }
-  
     if (visibilityFadeNode && audioContext) {
     // Resume the audio context first if needed
     if (audioContext.state === 'suspended' && isSoundEnabled) {
@@ -440,6 +480,22 @@ function handlePageVisible() {
 // AUDIO SETUP FUNCTIONS
 // ----------------------------------------------------------------------------------------------------
 
+/**
+ * Fetches and decodes a sound, falling back to a synthesized stand-in if that fails,
+ * so sound still works offline or on hosts without the asset files.
+ * @param {string} url - The sound file URL.
+ * @param {string} fallbackKind - Which stand-in to synthesize ('ambient', 'hover', 'press' or 'confirm').
+ * @returns {Promise<AudioBuffer|null>}
+ */
+async function loadAudioBuffer(url, fallbackKind) {
+  try {
+    return await decodeSound(audioContext, url);
+  } catch (error) {
+    console.warn(`Could not load ${url}, using synthesized ${fallbackKind} sound:`, error);
+    return synthesizeFallback(audioContext, fallbackKind);
+  }
+}
+
 /**
  * Sets up the ambient audio track with anti-crackling measures.
  * @returns {object} - An object containing the audio source, gain node, and other audio processing nodes.
@@ -447,10 +503,8 @@ function handlePageVisible() {
 async function setupAmbient() {
   if (!audioContext) return null;
   try {
-    const response = await fetch(CONFIG.ambient.url);
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = await audioContext.decodeAudioData(arrayBuffer);
+    const buffer = await loadAudioBuffer(CONFIG.ambient.url, 'ambient');
+    if (!buffer) throw new Error("No ambient buffer available");
 
     // Create a gain node for volume control with initial volume at 0
     const gainNode = audioContext.createGain();
@@ -485,18 +539,37 @@ async function setupAmbient() {
     source.buffer = buffer;
     source.loop = true;
     
+    // Crossfade share of the file loop against the generative layer
+    const fileBlendGain = audioContext.createGain();
+    
     // Modified connection chain
     source.connect(antiPopNode);
     antiPopNode.connect(dcFilter);  // Add DC filter before smoothing filter
     dcFilter.connect(smoothingFilter);
-    smoothingFilter.connect(gainNode);
+    smoothingFilter.connect(fileBlendGain);
+    fileBlendGain.connect(gainNode);
     gainNode.connect(compressor);
     
-    // Connect to master gain instead of directly to destination
-    compressor.connect(masterGainNode || audioContext.destination);
+    // The generative layer shares gainNode, so activity fades apply to both
+    let generative = null;
+    if (CONFIG.generativeAmbient.enabled) {
+      const { level, crossfadeTime, crossfadeInterval, minBlend } = CONFIG.generativeAmbient;
+      generative = createGenerativeAmbient(audioContext, {
+        fileGain: fileBlendGain,
+        level,
+        crossfadeTime,
+        crossfadeInterval,
+        minBlend
+      });
+      generative.output.connect(gainNode);
+    }
+    
+    // Connect to the ambient mixer bus
+    compressor.connect(getBusInput('ambient'));
     
     // More gradual startup sequence
     source.start(0);
+    if (generative) generative.start();
     
     // Multi-stage start for smoother beginning
     const now = audioContext.currentTime;
@@ -513,7 +586,7 @@ async function setupAmbient() {
     // Finally exponential ramp to full volume
     antiPopNode.gain.exponentialRampToValueAtTime(1.0, now + CONFIG.ambient.initialFade);
 
-    return { source, gainNode, antiPopNode, compressor, smoothingFilter, dcFilter };
+    return { source, gainNode, antiPopNode, compressor, smoothingFilter, dcFilter, fileBlendGain, generative };
   } catch (error) {
     console.error("Ambient setup failed:", error);
     const errorMsg = document.createElement('div');
@@ -618,7 +691,7 @@ function setupEngineSound() {
     subBassFilter.connect(gainNode);
     gainNode.connect(compressor);
     compressor.connect(panner);
-    panner.connect(masterGainNode || audioContext.destination);
+    panner.connect(getBusInput('engine'));
     
     // Initialize all gains to near-zero (not exact zero to avoid clicks)
     gainNode.gain.setValueAtTime(0.001, audioContext.currentTime);
@@ -667,17 +740,11 @@ function setupEngineSound() {
 // ----------------------------------------------------------------------------------------------------
 
 /**
- * Handles user activity and fades sounds in or out based on activity.
+ * Fades sounds in when the visitor becomes active (cursorTracker's 'active' event).
  */
 function handleActivity() {
   if (!isSoundEnabled || !audioContext) return;
   if (!ambientSource || !engineSource) return;
-
-  // Clear existing timeout
-  if (idleTimeout) {
-    clearTimeout(idleTimeout);
-    idleTimeout = null;
-  }
   
   // If not active, fade in sounds gradually
   if (!isUserActive) {
@@ -698,29 +765,32 @@ function handleActivity() {
       engineSource.gainNode.gain.exponentialRampToValueAtTime(targetVolume, now + CONFIG.fadeDuration);
     }
   }
-  
-  // Set timeout for inactivity with gradual fade
-  idleTimeout = setTimeout(() => {
-    isUserActive = false;
+}
+
+/**
+ * Fades sounds out gradually once the visitor goes idle (cursorTracker's 'idle' event).
+ */
+function handleIdle() {
+  if (!isUserActive || !audioContext) return;
+  isUserActive = false;
+
+  if (ambientSource && engineSource) {
+    const now = audioContext.currentTime;
+    const fadeTo = 0.001;
+    const fadeOutDuration = CONFIG.fadeDuration * 2; // Longer fade-out for smoother transition
     
-    if (ambientSource && engineSource) {
-      const now = audioContext.currentTime;
-      const fadeTo = 0.001;
-      const fadeOutDuration = CONFIG.fadeDuration * 2; // Longer fade-out for smoother transition
-      
-      // Ambient fade out
-      ambientSource.gainNode.gain.cancelScheduledValues(now);
-      ambientSource.gainNode.gain.setValueAtTime(ambientSource.gainNode.gain.value, now);
-      ambientSource.gainNode.gain.exponentialRampToValueAtTime(fadeTo, now + fadeOutDuration);
-      ambientSource.gainNode.gain.setValueAtTime(0, now + fadeOutDuration + 0.01);
-      
-      // Engine fade out
-      engineSource.gainNode.gain.cancelScheduledValues(now);
-      engineSource.gainNode.gain.setValueAtTime(engineSource.gainNode.gain.value, now);
-      engineSource.gainNode.gain.exponentialRampToValueAtTime(fadeTo, now + fadeOutDuration * 0.7); // Slightly faster
-      engineSource.gainNode.gain.setValueAtTime(0, now + fadeOutDuration + 0.01);
-    }
-  }, CONFIG.idleTimeout);
+    // Ambient fade out
+    ambientSource.gainNode.gain.cancelScheduledValues(now);
+    ambientSource.gainNode.gain.setValueAtTime(ambientSource.gainNode.gain.value, now);
+    ambientSource.gainNode.gain.exponentialRampToValueAtTime(fadeTo, now + fadeOutDuration);
+    ambientSource.gainNode.gain.setValueAtTime(0, now + fadeOutDuration + 0.01);
+    
+    // Engine fade out
+    engineSource.gainNode.gain.cancelScheduledValues(now);
+    engineSource.gainNode.gain.setValueAtTime(engineSource.gainNode.gain.value, now);
+    engineSource.gainNode.gain.exponentialRampToValueAtTime(fadeTo, now + fadeOutDuration * 0.7); // Slightly faster
+    engineSource.gainNode.gain.setValueAtTime(0, now + fadeOutDuration + 0.01);
+  }
 }
 
 // ----------------------------------------------------------------------------------------------------
@@ -743,7 +813,6 @@ function getEngineVolumeForSpeed(speed) {
  */
 function updateSoundParameters() {
   if (!ambientSource || !engineSource || !audioContext || !isSoundEnabled || !engineStarted) {
-    animationFrameId = requestAnimationFrame(updateSoundParameters);
     return;
   }
   // Ensure scrollTracker.getConfig is defined; if not, use default values.
@@ -767,6 +836,7 @@ function updateSoundParameters() {
     timeInSec,
     CONFIG.engine.rampTime
   );
+  if (ambientSource.generative) ambientSource.generative.setIntensity(speedRatio);
   
   if (isUserActive) {
     const engineVolume = CONFIG.engine.minVolume + (speedRatio * (CONFIG.engine.maxVolume - CONFIG.engine.minVolume));
@@ -778,8 +848,6 @@ function updateSoundParameters() {
     engineSource.bandpassFilter.frequency.setTargetAtTime(filterFreq * 1.5, timeInSec, CONFIG.engine.speedResponseTime);
     engineSource.subBassFilter.gain.setTargetAtTime(subGain, timeInSec, CONFIG.engine.speedResponseTime);
   }
-  
-  animationFrameId = requestAnimationFrame(updateSoundParameters);
 }
 
 // ----------------------------------------------------------------------------------------------------
@@ -790,17 +858,16 @@ function updateSoundParameters() {
  * Cleans up audio resources.
  */
 function cleanupAudioResources() {
-  if (animationFrameId) {
-    cancelAnimationFrame(animationFrameId);
-    animationFrameId = null;
+  if (soundUpdateHandle) {
+    soundUpdateHandle.remove();
+    soundUpdateHandle = null;
   }
-  activityEventListeners.forEach(({ event, handler }) => {
-    document.removeEventListener(event, handler);
-  });
-  activityEventListeners = [];
+  activityUnsubscribers.forEach(unsubscribe => unsubscribe());
+  activityUnsubscribers = [];
   if (ambientSource) {
     try {
       ambientSource.source.stop();
+      if (ambientSource.generative) ambientSource.generative.stop();
       ambientSource.gainNode.disconnect();
       ambientSource = null;
     } catch (e) {
@@ -864,42 +931,29 @@ async function enableSoundSystem() {
     // Subscribe to scroll tracker updates for velocity only
     scrollTracker.on("update", (data) => {
       scrollSpeed = data.velocityKMH;
-      // Count scrolling as activity - keeps sounds playing while scrolling
-      handleActivity();
+      // Count scrolling as activity - keeps sounds playing while scrolling (and coasting)
+      if (data.normalizedSpeed > CONFIG.scrollActivitySpeed) markActivity('scroll');
     });
 
     // Remove the impulse response handler - we only care about speed
     // scrollTracker.on("scroll", handleScrollImpulse); -- REMOVED
 
-    // Start parameter update loop
-    animationFrameId = requestAnimationFrame(updateSoundParameters);
-    
-    // Add throttled mousemove handler to ensure it doesn't cause performance issues
-    let lastMouseMoveTime = 0;
-    const handleMouseMove = () => {
-      const now = performance.now();
-      // Throttle to once every 200ms to prevent excessive calls
-      if (now - lastMouseMoveTime > 200) {
-        lastMouseMoveTime = now;
-        handleActivity();
-      }
-    };
-    
-    document.addEventListener('mousemove', handleMouseMove);
-    activityEventListeners.push({ event: 'mousemove', handler: handleMouseMove });
+    // Start parameter update loop; audio follows scroll speed, so it's never throttled
+    if (!soundUpdateHandle) {
+      soundUpdateHandle = ticker.add(updateSoundParameters, { priority: PRIORITY.HIGH, name: 'soundParameters' });
+    }
     
-    // Set up other activity listeners
-    const events = ['click', 'keydown', 'touchstart', 'wheel'];
-    events.forEach(evt => {
-      // Remove unnecessary binding as handleActivity doesn't use 'this' context
-      document.addEventListener(evt, handleActivity);
-      activityEventListeners.push({ event: evt, handler: handleActivity });
-    });
+    // Pointer, key, wheel and touch activity comes from cursorTracker, shared with other modules
+    activityUnsubscribers.push(
+      cursorEvents.on('active', handleActivity),
+      cursorEvents.on('idle', handleIdle)
+    );
 
     // Start in inactive state but trigger activity immediately
     isUserActive = false;
     engineStarted = false; // Will be set to true after proper startup
     handleActivity();
+    markActivity('sound'); // Starts the idle countdown
     
     return true;
   } catch (error) {
@@ -909,10 +963,10 @@ async function enableSoundSystem() {
 }
 
 /**
- * Handles the user's sound ON/OFF choice.
+ * Turns sound on or off without recording it as a choice.
  * @param {boolean} enableSound - Whether to enable or disable the sound.
  */
-async function handleSoundChoice(enableSound) {
+async function applySoundChoice(enableSound) {
   if (enableSound) {
     try {
       if (!audioContext) {
@@ -945,8 +999,123 @@ async function handleSoundChoice(enableSound) {
       audioContext.suspend();
     }
   }
+}
+
+/**
+ * Handles the user's sound ON/OFF choice.
+ * @param {boolean} enableSound - Whether to enable or disable the sound.
+ */
+async function handleSoundChoice(enableSound) {
+  soundChoiceMade = true;
+  saveSoundChoice(enableSound);
+  if (disarmFirstGesture) disarmFirstGesture();
+  await applySoundChoice(enableSound);
   // Dispatch the custom event regardless of UI state.
-  window.dispatchEvent(new CustomEvent(SOUND_CHOICE_MADE));
+  window.dispatchEvent(new CustomEvent(SOUND_CHOICE_MADE, { detail: { enabled: enableSound, restored: false } }));
+}
+
+// ----------------------------------------------------------------------------------------------------
+// SOUND CHOICE PERSISTENCE
+// ----------------------------------------------------------------------------------------------------
+
+/**
+ * Saves the sound choice with a timestamp so it can expire.
+ * @param {boolean} enabled - Whether sound is on.
+ */
+function saveSoundChoice(enabled) {
+  try {
+    localStorage.setItem(CONFIG.soundChoice.storageKey, JSON.stringify({ enabled, savedAt: Date.now() }));
+  } catch (error) {
+    console.warn("Could not save sound choice:", error);
+  }
+}
+
+/**
+ * Loads a saved sound choice, discarding it if it has expired or is unreadable.
+ * @returns {boolean|null} - The saved choice, or null if there is none.
+ */
+function loadSoundChoice() {
+  try {
+    const raw = localStorage.getItem(CONFIG.soundChoice.storageKey);
+    if (!raw) return null;
+
+    const { enabled, savedAt } = JSON.parse(raw);
+    const maxAge = CONFIG.soundChoice.maxAgeDays * 24 * 60 * 60 * 1000;
+    if (typeof enabled !== 'boolean' || !(Date.now() - savedAt < maxAge)) {
+      localStorage.removeItem(CONFIG.soundChoice.storageKey);
+      return null;
+    }
+    return enabled;
+  } catch (error) {
+    console.warn("Could not read saved sound choice:", error);
+    return null;
+  }
+}
+
+/**
+ * Browsers only let audio start after a user gesture, so a remembered "on" choice
+ * is applied on the visitor's first pointer, key or touch interaction.
+ */
+function armAudioOnFirstGesture() {
+  if (disarmFirstGesture) return;
+
+  // Events that count as user activation for AudioContext.resume()
+  const gestureEvents = ['pointerdown', 'keydown', 'touchend'];
+  const onGesture = (event) => {
+    // The floating toggle handles its own click, which may be turning sound off
+    if (soundToggle && soundToggle.contains(event.target)) return;
+    disarmFirstGesture();
+    applySoundChoice(true);
+  };
+
+  gestureEvents.forEach(evt => document.addEventListener(evt, onGesture, { capture: true, passive: true }));
+  disarmFirstGesture = () => {
+    gestureEvents.forEach(evt => document.removeEventListener(evt, onGesture, { capture: true }));
+    disarmFirstGesture = null;
+  };
+}
+
+/**
+ * Hides the sound prompt: its [data-sound-prompt] wrapper if there is one, otherwise the ON/OFF buttons.
+ */
+function hideSoundPrompt() {
+  const prompts = new Set(document.querySelectorAll(SOUND_PROMPT_SELECTOR));
+  document.querySelectorAll(SOUND_PROMPT_BUTTONS).forEach(button => {
+    prompts.add(button.closest(SOUND_PROMPT_SELECTOR) || button);
+  });
+  prompts.forEach(prompt => {
+    prompt.hidden = true;
+    prompt.style.display = 'none'; // Wins over display rules on the buttons' ids
+  });
+}
+
+/**
+ * Restores a saved sound choice so returning visitors skip the sound prompt.
+ * @returns {boolean} - Whether a saved choice was found.
+ */
+function restoreSoundChoice() {
+  const savedChoice = loadSoundChoice();
+  if (savedChoice === null) return false;
+
+  console.log(`Restoring saved sound choice: ${savedChoice ? 'on' : 'off'}`);
+  soundChoiceMade = true;
+  isSoundEnabled = savedChoice;
+  updateToggleUI(savedChoice);
+  // Returning visitors don't see the prompt; the class lets CSS adjust anything else
+  document.documentElement.classList.add('sound-choice-remembered');
+  hideSoundPrompt();
+  if (savedChoice) armAudioOnFirstGesture();
+
+  window.dispatchEvent(new CustomEvent(SOUND_CHOICE_MADE, { detail: { enabled: savedChoice, restored: true } }));
+  return true;
+}
+
+/**
+ * Whether the visitor has made a sound choice this visit, or one was restored from a previous visit.
+ * @returns {boolean}
+ */
+export function hasSoundChoice() {
+  return soundChoiceMade;
 }
 
 // ----------------------------------------------------------------------------------------------------
@@ -960,6 +1129,10 @@ function toggleSound() {
   if (!audioContext) return;
   isSoundEnabled = !isSoundEnabled;
   updateToggleUI(isSoundEnabled);
+  // The toggle is a choice too; it also supersedes any pending restored choice
+  soundChoiceMade = true;
+  saveSoundChoice(isSoundEnabled);
+  if (disarmFirstGesture) disarmFirstGesture();
   if (isSoundEnabled) {
     const resumePromise = audioContext.state === 'suspended'
       ? audioContext.resume().catch(err => console.error("Failed to resume audio context:", err))
@@ -1009,6 +1182,10 @@ export async function initSoundSystem() {
         masterGainNode.gain.setValueAtTime(1, audioContext.currentTime);
         masterGainNode.connect(audioContext.destination);
         
+        // Mixer buses feed the master gain node, which the analyser taps
+        mixer.attach(audioContext, masterGainNode);
+        audioAnalyser.attach(audioContext, masterGainNode);
+        
         // Set up visibility tracking
         setupVisibilityTracking();
         
@@ -1062,7 +1239,12 @@ export async function initSoundSystem() {
     }
     
     window.addEventListener('beforeunload', cleanupAudioResources);
+    // Optional on-page mixer ([data-sound-mixer])
+    initMixerPanel();
     audioInitialized = true;
+
+    // Returning visitors skip the prompt
+    restoreSoundChoice();
     return true;
   } catch (error) {
     console.error("Error during sound system initialization:", error);
@@ -1074,21 +1256,30 @@ export async function initSoundSystem() {
 // ROBOT SPEECH FUNCTIONS
 // ----------------------------------------------------------------------------------------------------
 
+/**
+ * Combined check for character sounds: sound type enabled and audible on its bus,
+ * sound system enabled and running, page visible.
+ * @param {Object} config - Configuration for the sound (robotSpeech or introTyping)
+ * @returns {boolean}
+ */
+function canPlayCharacterSound(config) {
+    if (!config.enabled || !mixer.isAudible(config.bus) || !allSoundsActive || !isSoundEnabled || !audioContext || audioContext.state !== 'running') return false;
+    if (!isPageVisible) return false; // Explicit check for page visibility
+
+    // Check that visibility fade node isn't muted
+    if (visibilityFadeNode && visibilityFadeNode.gain.value <= 0.01) return false;
+    return true;
+}
+
 /**
  * Generic character sound player that can be used for both robot speech and intro typing.
  * 
  * @param {string} character - The character to generate sound for
  * @param {Object} config - Configuration for the sound (robotSpeech or introTyping)
- * @param {boolean} enabled - Whether this particular sound type is enabled
  * @returns {void}
  */
-function playCharacterSound(character, config, enabled) {
-    // Combined check: specific sound enabled, global sounds enabled, sound system enabled, page visible
-    if (!enabled || !allSoundsActive || !isSoundEnabled || !audioContext || audioContext.state !== 'running') return;
-    if (!isPageVisible) return; // Explicit check for page visibility
-    
-    // Check that visibility fade node isn't muted
-    if (visibilityFadeNode && visibilityFadeNode.gain.value <= 0.01) return;
+function playCharacterSound(character, config) {
+    if (!canPlayCharacterSound(config)) return;
     
     try {
         // Create oscillator and gain nodes
@@ -1106,8 +1297,8 @@ function playCharacterSound(character, config, enabled) {
         oscillator.connect(antiPopNode);
         antiPopNode.connect(dcFilter);
         dcFilter.connect(gainNode);
-        // Connect to the visibilityFadeNode to ensure it follows visibility state
-        gainNode.connect(visibilityFadeNode || masterGainNode || audioContext.destination);
+        // Connect to the sound type's mixer bus (which follows the visibility fade via the master)
+        gainNode.connect(getBusInput(config.bus));
         
         // Set frequency based on character type
         let frequency = config.baseFrequency;
@@ -1159,13 +1350,55 @@ function playCharacterSound(character, config, enabled) {
     }
 }
 
+/**
+ * Starts a new robot utterance, so the voice can shape its pitch over the whole sentence.
+ * @param {string} text - The phrase about to be typed out.
+ * @param {string} [preset] - Voice preset name (see VOICE_PRESETS in robotVoice.js).
+ */
+function beginRobotUtterance(text, preset = CONFIG.robotSpeech.voice.defaultPreset) {
+    if (!CONFIG.robotSpeech.voice.enabled || !audioContext) return;
+    if (!robotVoice) {
+        robotVoice = createRobotVoice(audioContext, { mappings: CONFIG.robotSpeech.characterMappings });
+    }
+    robotVoice.beginUtterance(text, preset);
+}
+
+/**
+ * Volume for speech that bypasses Web Audio (the robot's speechSynthesis mode),
+ * following the sound toggle, page visibility and the mixer's speech bus.
+ * @returns {number} 0 when the robot should be silent, otherwise up to 1
+ */
+function getRobotSpokenVolume() {
+    if (!CONFIG.robotSpeech.enabled || !robotSpeechEnabled || !isSoundEnabled || !allSoundsActive || !isPageVisible) return 0;
+    return mixer.getEffectiveGain(CONFIG.robotSpeech.bus);
+}
+
 /**
  * Plays a sound for a specific character in robot speech.
  * @param {string} character - The character to generate sound for.
  */
 function playRobotSpeechSound(character) {
-    // The combined check in playCharacterSound will handle all conditions
-    playCharacterSound(character, CONFIG.robotSpeech, robotSpeechEnabled);
+    const config = CONFIG.robotSpeech;
+    if (!robotSpeechEnabled) {
+        if (robotVoice) robotVoice.skip();
+        return;
+    }
+    if (!config.voice.enabled || !robotVoice) {
+        // The combined check in playCharacterSound will handle all conditions
+        playCharacterSound(character, config);
+        return;
+    }
+    
+    if (!canPlayCharacterSound(config)) {
+        robotVoice.skip();
+        return;
+    }
+    
+    try {
+        robotVoice.speak(character, getBusInput(config.bus), config.volume * config.voice.volume);
+    } catch (error) {
+        console.warn(`Error playing robot voice: ${error}`);
+    }
 }
 
 /**
@@ -1174,7 +1407,7 @@ function playRobotSpeechSound(character) {
  */
 function playIntroTypeSound(character) {
     // The combined check in playCharacterSound will handle all conditions
-    playCharacterSound(character, CONFIG.introTyping, introTypingEnabled && isSoundEnabled);
+    playCharacterSound(character, CONFIG.introTyping);
 }
 
 /**
@@ -1213,7 +1446,7 @@ function playTestSound() {
         const gainNode = audioContext.createGain();
         
         oscillator.connect(gainNode);
-        gainNode.connect(masterGainNode || audioContext.destination);
+        gainNode.connect(getBusInput('speech'));
         
         oscillator.type = 'sine';
         oscillator.frequency.value = 440; // A note
@@ -1257,6 +1490,8 @@ function onRobotSpeechToggle(callback) {
 // Export robot speech functionality
 export const robotSpeech = {
     play: playRobotSpeechSound,
+    beginUtterance: beginRobotUtterance,
+    getSpokenVolume: getRobotSpokenVolume,
     toggle: toggleRobotSpeech,
     onToggle: onRobotSpeechToggle,
     isEnabled: () => robotSpeechEnabled,
@@ -1270,63 +1505,54 @@ export const robotSpeech = {
 // ----------------------------------------------------------------------------------------------------
 
 /**
- * Preloads button sound effects
- * @returns {Promise<boolean>} Success state of the preloading
+ * Preloads button sound effects, highest priority cues first
+ * @returns {Promise<boolean>} Whether at least one sound file loaded
  */
 async function preloadButtonSounds() {
-  if (buttonSoundsLoaded || buttonSoundsLoading) return true;
   if (!audioContext) await createAudioContext();
   if (!audioContext) return false;
   
-  buttonSoundsLoading = true;
-  
   try {
-    console.log("Preloading button sounds...");
-    const loadPromises = [];
-    
-    // Function to load and decode a sound file
-    const loadSound = async (url, soundType) => {
-      try {
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Failed to fetch ${soundType} sound: ${response.status}`);
-        const arrayBuffer = await response.arrayBuffer();
-        const decodedBuffer = await audioContext.decodeAudioData(arrayBuffer);
-        buttonSoundBuffers[soundType] = decodedBuffer;
-        return true;
-      } catch (error) {
-        console.warn(`Error loading ${soundType} sound:`, error);
-        return false;
-      }
-    };
-    
-    // Load all button sounds in parallel
-    const urls = CONFIG.buttonSounds.urls;
-    loadPromises.push(loadSound(urls.hover, 'hover'));
-    loadPromises.push(loadSound(urls.press, 'press'));
-    loadPromises.push(loadSound(urls.confirm, 'confirm'));
-    
-    // Wait for all loads to complete
-    const results = await Promise.all(loadPromises);
-    buttonSoundsLoaded = results.some(result => result); // At least one success
-    buttonSoundsLoading = false;
-    
-    console.log(`Button sounds preloaded ${buttonSoundsLoaded ? 'successfully' : 'with some errors'}`);
-    return buttonSoundsLoaded;
+    return await uiSoundLibrary.load(audioContext);
   } catch (error) {
     console.error("Failed to preload button sounds:", error);
-    buttonSoundsLoading = false;
     return false;
   }
 }
 
+/**
+ * Works out where a UI sound sits in the stereo field.
+ * Uses the element's centre when given, nudged towards the cursor; otherwise the cursor alone.
+ * @param {Element} [element] - The control the sound belongs to
+ * @returns {number} Pan from -1 (left) to 1 (right)
+ */
+function getSpatialPan(element) {
+  const { width, cursorWeight } = CONFIG.buttonSounds.spatial;
+  let position = cursorXPercent;
+  
+  if (element && element.getBoundingClientRect && window.innerWidth > 0) {
+    const rect = element.getBoundingClientRect();
+    // Hidden elements have an empty rect; keep the cursor position for those
+    if (rect.width > 0 || rect.height > 0) {
+      const elementPosition = (rect.left + rect.width / 2) / window.innerWidth;
+      position = elementPosition + (cursorXPercent - elementPosition) * cursorWeight;
+    }
+  }
+  
+  const pan = (Math.min(Math.max(position, 0), 1) * 2 - 1) * width;
+  return Number.isFinite(pan) ? pan : 0;
+}
+
 /**
  * Plays a button sound effect
- * @param {string} soundType - Type of button sound ('hover', 'press', or 'confirm')
+ * @param {string} soundType - Name of a cue in CONFIG.buttonSounds.manifest (e.g. 'hover', 'press', 'confirm')
  * @param {number} [volumeMultiplier=1.0] - Optional volume multiplier for the sound
+ * @param {Element} [element] - Control that made the sound, used to pan it to its place on screen
  */
-function playButtonSound(soundType, volumeMultiplier = 1.0) {
+function playButtonSound(soundType, volumeMultiplier = 1.0, element = null) {
   // Add allSoundsActive check along with other conditions
   if (!isSoundEnabled || !allSoundsActive || !audioContext || !CONFIG.buttonSounds.enabled) return;
+  if (!mixer.isAudible('ui')) return;
   if (!isPageVisible) return; // Don't play button sounds when page is hidden
   
   // Apply hover sound throttling to prevent sound spam
@@ -1336,36 +1562,48 @@ function playButtonSound(soundType, volumeMultiplier = 1.0) {
     lastHoverSound = now;
   }
   
-  // Try to use preloaded buffer
-  const buffer = buttonSoundBuffers[soundType];
-  if (!buffer) {
-    // If buffer not available and not currently loading, try to load it now
-    if (!buttonSoundsLoading) {
-      preloadButtonSounds();
-    }
+  if (!uiSoundLibrary.has(soundType)) {
+    console.warn(`Unknown button sound "${soundType}"`);
+    return;
+  }
+  
+  // Try to use the preloaded cue; if it isn't ready, load it ahead of the rest for next time
+  const cue = uiSoundLibrary.getCue(soundType);
+  if (!cue) {
+    preloadButtonSounds();
+    uiSoundLibrary.ensure(soundType);
     return;
   }
   
   try {
     // Create sound source
     const source = audioContext.createBufferSource();
-    source.buffer = buffer;
+    source.buffer = cue.buffer;
     
     // Create gain node for volume control
     const gainNode = audioContext.createGain();
     gainNode.gain.value = CONFIG.buttonSounds.volume * volumeMultiplier;
     
-    // Connect nodes
+    // Connect nodes, through a stereo panner where supported
     source.connect(gainNode);
-    gainNode.connect(masterGainNode || audioContext.destination);
+    let panner = null;
+    if (CONFIG.buttonSounds.spatial.enabled && audioContext.createStereoPanner) {
+      panner = audioContext.createStereoPanner();
+      panner.pan.value = getSpatialPan(element);
+      gainNode.connect(panner);
+      panner.connect(getBusInput('ui'));
+    } else {
+      gainNode.connect(getBusInput('ui'));
+    }
     
     // Play the sound
-    source.start(0);
+    source.start(0, cue.offset, cue.duration);
     
     // Clean up once playback is complete
     source.onended = () => {
       source.disconnect();
       gainNode.disconnect();
+      if (panner) panner.disconnect();
     };
   } catch (error) {
     console.warn(`Error playing ${soundType} button sound:`, error);
@@ -1381,7 +1619,11 @@ export const buttonSounds = {
 // Export the new function
 export { playIntroTypeSound };
 
+// Band levels and onsets of everything on the master bus, for audio-reactive visuals
+export { audioAnalyser };
+
 // Export the custom event name
 export const EVENTS = {
-  SOUND_CHOICE_MADE
+  SOUND_CHOICE_MADE,
+  SOUND_LOAD_PROGRESS
 };
@@ -0,0 +1,218 @@
+/**
+ * Animation Ticker Module
+ * --------------------
+ * One shared requestAnimationFrame loop for the whole site.
+ *
+ * Modules register callbacks with the ticker instead of running their own rAF loops,
+ * setInterval timers or setTimeout chains. Each callback can have:
+ * - A target frame rate (e.g. 20fps for a text effect that only needs to change every 50ms)
+ * - A priority (HIGH callbacks such as scroll physics are never throttled)
+ * - A pause state (paused callbacks cost nothing)
+ *
+ * The loop would stop when every callback is paused, but scrollTracker.js keeps a HIGH
+ * priority callback running for the life of the page, so in practice it runs every frame
+ * while the tab is visible. Browsers suspend requestAnimationFrame in background tabs,
+ * so nothing here runs there - including after() and wait(). Work that has to happen
+ * while the tab is hidden (saving, audio scheduling) should use a real setTimeout.
+ *
+ * The ticker keeps a smoothed frame time. When frames get slow it throttles NORMAL and
+ * LOW priority callbacks until the page recovers; this can also be forced with setThrottled().
+ *
+ * Usage:
+ *   const handle = ticker.add((timestamp, deltaMs) => draw(timestamp), { fps: 30, priority: PRIORITY.LOW });
+ *   handle.pause(); handle.resume(); handle.remove();
+ *   await ticker.wait(500); // Frame-aligned setTimeout for visual timing; doesn't fire in background tabs
+ */
+
+export const PRIORITY = {
+  HIGH: 2,   // Input, physics and audio parameters - never throttled
+  NORMAL: 1, // Regular UI animation
+  LOW: 0     // Decorative effects - first to be slowed down under load
+};
+
+const LOAD_CONFIG = {
+  slowFrameMs: 1000 / 40,    // Start throttling when the average frame takes longer than this
+  recoveredFrameMs: 1000 / 55, // Stop throttling once frames are this fast again
+  smoothing: 0.05,           // Weight of each new frame in the moving average
+  maxFrameGapMs: 250,        // Longer gaps (tab switches, breakpoints) are not counted as load
+  throttledFps: {
+    [PRIORITY.NORMAL]: 30,
+    [PRIORITY.LOW]: 15
+  }
+};
+
+class Ticker {
+  #subscribers = [];
+  #frameId = null;
+  #lastFrameTime = 0;
+  #averageFrameMs = 1000 / 60;
+  #autoThrottled = false;
+  #forcedThrottle = null; // null = automatic, true/false = forced on/off
+
+  constructor() {
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * Registers a callback to run on the shared frame loop.
+   * @param {Function} callback - Called with (timestamp, deltaMs since this callback last ran)
+   * @param {Object} [options]
+   * @param {number} [options.fps=0] - Target frame rate; 0 runs every frame
+   * @param {number} [options.priority=PRIORITY.NORMAL] - One of PRIORITY
+   * @param {boolean} [options.paused=false] - Register without starting
+   * @param {boolean} [options.delayFirstRun=false] - Wait one 1/fps period before the first run, and
+   *   again after each resume, like setInterval. Otherwise the callback runs on the first frame.
+   * @param {string} [options.name] - Label used in logs and stats
+   * @returns {{pause: Function, resume: Function, remove: Function, setFps: Function, isPaused: Function}}
+   */
+  add(callback, { fps = 0, priority = PRIORITY.NORMAL, paused = false, delayFirstRun = false, name = callback.name || 'anonymous' } = {}) {
+    const subscriber = { callback, fps, priority, paused, delayFirstRun, name, lastRun: 0 };
+
+    this.#subscribers.push(subscriber);
+    // Higher priority first, so physics runs before anything that reads it
+    this.#subscribers.sort((a, b) => b.priority - a.priority);
+    if (!paused) this.#ensureRunning();
+
+    return {
+      pause: () => {
+        subscriber.paused = true;
+      },
+      resume: () => {
+        if (!subscriber.paused) return;
+        subscriber.paused = false;
+        subscriber.lastRun = 0; // Report a zero delta on the first frame back
+        this.#ensureRunning();
+      },
+      remove: () => {
+        const index = this.#subscribers.indexOf(subscriber);
+        if (index !== -1) this.#subscribers.splice(index, 1);
+      },
+      setFps: value => {
+        subscriber.fps = value;
+      },
+      isPaused: () => subscriber.paused
+    };
+  }
+
+  /**
+   * Calls a function once, on the first frame after a delay (a frame-aligned setTimeout).
+   * @param {number} delay - Delay in ms
+   * @param {Function} callback
+   * @returns {Object} - Ticker handle; call remove() to cancel
+   */
+  after(delay, callback) {
+    const dueTime = performance.now() + delay;
+    const handle = this.add(timestamp => {
+      if (timestamp < dueTime) return;
+      handle.remove();
+      callback();
+    }, { priority: PRIORITY.HIGH, name: 'after' });
+    return handle;
+  }
+
+  /**
+   * Promise version of after().
+   * @param {number} delay - Delay in ms
+   * @returns {Promise<void>}
+   */
+  wait(delay) {
+    return new Promise(resolve => this.after(delay, resolve));
+  }
+
+  /**
+   * Forces throttling on or off, or hands it back to load detection.
+   * @param {boolean|null} value - true/false to force, null for automatic
+   */
+  setThrottled(value) {
+    this.#forcedThrottle = value;
+    console.log(`[ticker] Throttling ${value === null ? 'set to automatic' : (value ? 'forced on' : 'forced off')}`);
+  }
+
+  /**
+   * Whether NORMAL/LOW priority callbacks are currently being throttled.
+   * @returns {boolean}
+   */
+  isThrottled() {
+    return this.#forcedThrottle !== null ? this.#forcedThrottle : this.#autoThrottled;
+  }
+
+  /**
+   * Returns current loop statistics for debugging/display.
+   * @returns {{fps: number, throttled: boolean, running: boolean, subscribers: Array}}
+   */
+  getStats() {
+    return {
+      fps: 1000 / this.#averageFrameMs,
+      throttled: this.isThrottled(),
+      running: this.#frameId !== null,
+      subscribers: this.#subscribers.map(({ name, fps, priority, paused }) => ({ name, fps, priority, paused }))
+    };
+  }
+
+  #ensureRunning() {
+    if (this.#frameId === null) {
+      this.#lastFrameTime = 0;
+      this.#frameId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  #measureLoad(timestamp) {
+    if (this.#lastFrameTime) {
+      const frameMs = timestamp - this.#lastFrameTime;
+      if (frameMs > 0 && frameMs < LOAD_CONFIG.maxFrameGapMs) {
+        this.#averageFrameMs += (frameMs - this.#averageFrameMs) * LOAD_CONFIG.smoothing;
+      }
+    }
+    this.#lastFrameTime = timestamp;
+
+    if (!this.#autoThrottled && this.#averageFrameMs > LOAD_CONFIG.slowFrameMs) {
+      this.#autoThrottled = true;
+      console.warn(`[ticker] Frames averaging ${this.#averageFrameMs.toFixed(1)}ms, throttling low priority animations`);
+    } else if (this.#autoThrottled && this.#averageFrameMs < LOAD_CONFIG.recoveredFrameMs) {
+      this.#autoThrottled = false;
+      console.log('[ticker] Frame rate recovered, throttling lifted');
+    }
+  }
+
+  #getEffectiveFps(subscriber) {
+    const throttledFps = LOAD_CONFIG.throttledFps[subscriber.priority];
+    if (!throttledFps || !this.isThrottled()) return subscriber.fps;
+    return subscriber.fps > 0 ? Math.min(subscriber.fps, throttledFps) : throttledFps;
+  }
+
+  tick(timestamp) {
+    this.#measureLoad(timestamp);
+
+    // Copy, since callbacks may add or remove subscribers
+    const subscribers = this.#subscribers.slice();
+    for (const subscriber of subscribers) {
+      if (subscriber.paused) continue;
+
+      const fps = this.#getEffectiveFps(subscriber);
+      // Start the period on the first frame (or the first after a resume) instead of running
+      if (subscriber.delayFirstRun && fps > 0 && !subscriber.lastRun) {
+        subscriber.lastRun = timestamp;
+        continue;
+      }
+      const elapsed = subscriber.lastRun ? timestamp - subscriber.lastRun : 0;
+      // 1ms tolerance so a 30fps callback doesn't drift to 20fps on a 60Hz display
+      if (fps > 0 && subscriber.lastRun && elapsed < 1000 / fps - 1) continue;
+
+      subscriber.lastRun = timestamp;
+      try {
+        subscriber.callback(timestamp, elapsed);
+      } catch (error) {
+        console.error(`[ticker] Error in "${subscriber.name}" callback:`, error);
+      }
+    }
+
+    // Stop the loop when nothing is left to run (rare: scrollTracker's callback never pauses)
+    if (this.#subscribers.some(subscriber => !subscriber.paused)) {
+      this.#frameId = requestAnimationFrame(this.tick);
+    } else {
+      this.#frameId = null;
+    }
+  }
+}
+
+export const ticker = new Ticker();
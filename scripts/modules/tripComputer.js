@@ -0,0 +1,281 @@
+/**
+ * Trip Computer Module
+ * --------------------
+ * Cockpit HUD for the ship's scroll speed, fed by scrollTracker.js.
+ *
+ * This module:
+ * - Keeps trip figures: live, peak and average speed, distance travelled and trip time
+ * - Binds them to `data-trip` readouts, optionally as rolling odometer digits
+ * - Resets the trip from any `data-trip-reset` control
+ *
+ * Trip time counts only time spent moving, so the average speed is the average while
+ * moving, like a car's trip computer. Figures keep accumulating while the HUD is hidden;
+ * only the rendering pauses.
+ *
+ * Markup:
+ *   <span data-trip="speed" data-trip-unit="mph"></span>     speed | peak | average: kmh (default), mph, pxs
+ *   <span data-trip="distance" data-trip-unit="mi"
+ *         data-trip-odometer data-trip-digits="5" data-trip-decimals="1"></span>   distance: km (default), mi, m, px
+ *   <span data-trip="time"></span>                           hh:mm:ss
+ * Text readouts show 2 decimals (0 for px units) unless `data-trip-decimals` is set, and
+ * grow more digits rather than stopping at 999.99.
+ *   <button data-trip-reset>Reset trip</button>
+ */
+
+import { scrollTracker } from './scrollTracker.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { createVisibilityGate } from './animationVisibility.js';
+import { prefersReducedMotion } from './motionPolicy.js';
+
+const READOUT_SELECTOR = '[data-trip]';
+const RESET_SELECTOR = '[data-trip-reset]';
+const RENDER_FPS = 30;
+const MOVING_SPEED = 0.01; // Normalized speed above which the trip clock runs
+
+const KM_PER_MILE = 1.609344;
+
+// Unit conversions from the tracker's km/h and km
+const SPEED_UNITS = {
+  kmh: kmh => kmh,
+  mph: kmh => kmh / KM_PER_MILE,
+  pxs: (kmh, pxPerKm) => kmh * pxPerKm / 3600
+};
+const DISTANCE_UNITS = {
+  km: km => km,
+  mi: km => km / KM_PER_MILE,
+  m: km => km * 1000,
+  px: (km, pxPerKm) => km * pxPerKm
+};
+
+const trip = {
+  speedKMH: 0,
+  peakKMH: 0,
+  distanceKm: 0,
+  movingMs: 0
+};
+
+let pixelsPerKm = 96 * 39370.1; // Tracker default (96 DPI) until it reports its own
+let readouts = [];
+let renderHandle = null;
+let isInitialized = false;
+
+/**
+ * Pixels per km at the tracker's current conversion, derived from its own readings
+ * so calibration changes in scrollTracker.js flow through. Kept from the last
+ * reading while the ship is parked.
+ * @returns {number}
+ */
+function getPixelsPerKm() {
+  const kmh = scrollTracker.getKilometersPerHour();
+  if (kmh > 0) pixelsPerKm = scrollTracker.getPixelsPerSecond() * 3600 / kmh;
+  return pixelsPerKm;
+}
+
+// Accumulates the trip every frame, after the tracker has updated
+function accumulate(timestamp, deltaMs) {
+  const dt = Math.min(deltaMs, 100); // Don't count a background tab's gap as travel
+  const kmh = scrollTracker.getKilometersPerHour();
+  trip.speedKMH = kmh;
+  trip.peakKMH = Math.max(trip.peakKMH, kmh);
+  trip.distanceKm += kmh * dt / 3600000;
+  if (scrollTracker.getNormalizedSpeed() > MOVING_SPEED) trip.movingMs += dt;
+}
+
+/**
+ * Current trip figures.
+ * @returns {{speedKMH: number, peakKMH: number, averageKMH: number, distanceKm: number, tripTimeMs: number}}
+ */
+export function getTrip() {
+  return {
+    speedKMH: trip.speedKMH,
+    peakKMH: trip.peakKMH,
+    averageKMH: trip.movingMs > 0 ? trip.distanceKm / (trip.movingMs / 3600000) : 0,
+    distanceKm: trip.distanceKm,
+    tripTimeMs: trip.movingMs
+  };
+}
+
+/**
+ * Zeroes peak, average, distance and trip time.
+ */
+export function resetTrip() {
+  trip.peakKMH = 0;
+  trip.distanceKm = 0;
+  trip.movingMs = 0;
+  render();
+  console.log('[tripComputer] Trip reset');
+}
+
+/**
+ * Formats a readout in the cockpit's zero-padded style (e.g. 002.84). Unlike
+ * scrollTracker.formatSpeed there's no cap: values grow more digits instead.
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatReadout(value, decimals) {
+  const text = Math.max(value, 0).toFixed(decimals);
+  return text.padStart(decimals > 0 ? 4 + decimals : 3, '0');
+}
+
+// Format trip time as hh:mm:ss
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Builds the wheels of an odometer readout: one strip of 0-9 (plus a second 0 to roll into) per digit.
+ * @param {Element} element
+ * @param {number} digits - Whole digits
+ * @param {number} decimals - Digits after the point
+ * @returns {HTMLElement[]} - Strips, least significant first
+ */
+function buildOdometer(element, digits, decimals) {
+  element.textContent = '';
+  element.classList.add('trip-odometer');
+  const strips = [];
+
+  for (let i = 0; i < digits + decimals; i++) {
+    if (i === digits) {
+      const point = document.createElement('span');
+      point.className = 'trip-odometer__point';
+      point.textContent = '.';
+      element.appendChild(point);
+    }
+    const wheel = document.createElement('span');
+    wheel.className = 'trip-odometer__digit';
+    const strip = document.createElement('span');
+    strip.className = 'trip-odometer__strip';
+    strip.setAttribute('aria-hidden', 'true');
+    for (let n = 0; n <= 10; n++) {
+      const figure = document.createElement('span');
+      figure.textContent = String(n % 10);
+      strip.appendChild(figure);
+    }
+    wheel.appendChild(strip);
+    element.appendChild(wheel);
+    strips.unshift(strip);
+  }
+  return strips;
+}
+
+/**
+ * Sets each wheel's roll. Like a mechanical odometer, the lowest wheel turns continuously and
+ * each higher wheel only turns while the one below rolls from 9 to 0.
+ * @param {HTMLElement[]} strips - Least significant first
+ * @param {number} value - Already scaled so the lowest wheel counts units
+ * @param {boolean} snap - Show whole digits only (reduced motion)
+ */
+function rollOdometer(strips, value, snap) {
+  const max = 10 ** strips.length;
+  const clamped = Math.min(Math.max(value, 0), max - 1e-6);
+  let lowerRoll = 0;
+
+  strips.forEach((strip, i) => {
+    const place = clamped / 10 ** i;
+    let roll;
+    if (i === 0) {
+      roll = place % 10;
+    } else {
+      roll = Math.floor(place) % 10 + Math.max(lowerRoll - 9, 0);
+    }
+    lowerRoll = roll;
+    strip.style.setProperty('--trip-roll', (snap ? Math.floor(roll) : roll).toFixed(3));
+  });
+}
+
+function readValue(type, unit, figures, pxPerKm) {
+  switch (type) {
+    case 'speed':
+    case 'peak':
+    case 'average': {
+      const kmh = type === 'speed' ? figures.speedKMH : (type === 'peak' ? figures.peakKMH : figures.averageKMH);
+      return (SPEED_UNITS[unit] || SPEED_UNITS.kmh)(kmh, pxPerKm);
+    }
+    case 'distance':
+      return (DISTANCE_UNITS[unit] || DISTANCE_UNITS.km)(figures.distanceKm, pxPerKm);
+    default:
+      return 0;
+  }
+}
+
+function render() {
+  const figures = getTrip();
+  const pxPerKm = getPixelsPerKm();
+  const snap = prefersReducedMotion();
+
+  readouts.forEach(readout => {
+    const { element, type, unit, strips, decimals } = readout;
+    if (type === 'time') {
+      const text = formatTime(figures.tripTimeMs);
+      if (element.textContent !== text) element.textContent = text;
+      return;
+    }
+
+    const value = readValue(type, unit, figures, pxPerKm);
+    if (strips) {
+      rollOdometer(strips, value * 10 ** decimals, snap);
+      element.setAttribute('aria-label', value.toFixed(decimals));
+    } else {
+      const text = formatReadout(value, decimals);
+      if (element.textContent !== text) element.textContent = text;
+    }
+  });
+}
+
+function bindReadouts() {
+  readouts = Array.from(document.querySelectorAll(READOUT_SELECTOR)).map(element => {
+    const type = element.dataset.trip;
+    const unit = element.dataset.tripUnit;
+    // Whole pixels; everything else to 2 places unless data-trip-decimals says otherwise
+    const defaultDecimals = unit === 'px' || unit === 'pxs' ? 0 : 2;
+    const decimals = parseInt(element.dataset.tripDecimals, 10);
+    const readout = { element, type, unit, strips: null, decimals: Number.isNaN(decimals) ? defaultDecimals : decimals };
+    if (element.hasAttribute('data-trip-odometer') && type !== 'time') {
+      const digits = parseInt(element.dataset.tripDigits, 10) || 5;
+      readout.decimals = parseInt(element.dataset.tripDecimals, 10) || 0;
+      readout.strips = buildOdometer(element, digits, readout.decimals);
+    }
+    return readout;
+  });
+}
+
+/**
+ * Binds the HUD readouts and starts the trip. Safe to call more than once.
+ */
+export function initTripComputer() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  // The trip runs whether or not there's a HUD on the page
+  ticker.add(accumulate, { priority: PRIORITY.NORMAL, name: 'tripComputer' });
+
+  document.addEventListener('click', event => {
+    if (!event.target.closest(RESET_SELECTOR)) return;
+    event.preventDefault();
+    resetTrip();
+  });
+
+  bindReadouts();
+  if (!readouts.length) {
+    console.log('[tripComputer] Initialized (no HUD readouts on this page)');
+    return;
+  }
+
+  renderHandle = ticker.add(render, {
+    fps: RENDER_FPS,
+    priority: PRIORITY.LOW,
+    paused: true,
+    name: 'tripComputer:render'
+  });
+  createVisibilityGate(readouts.map(readout => readout.element), {
+    onResume: () => renderHandle.resume(),
+    onPause: () => renderHandle.pause()
+  });
+  render();
+  console.log(`[tripComputer] Initialized with ${readouts.length} readouts`);
+}
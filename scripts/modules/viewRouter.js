@@ -0,0 +1,128 @@
+/**
+ * View Router Module
+ * --------------------
+ * Keeps the active view in sync with the URL so views can be bookmarked,
+ * shared and navigated with the browser's back/forward buttons.
+ *
+ * This module:
+ * - Maps view IDs (e.g. `portfolio-view`) to URL hashes (e.g. `#portfolio`)
+ * - Reads the requested view from `location.hash` on load
+ * - Pushes a history entry whenever the active view changes
+ * - Notifies a listener on `popstate` so the view can be transitioned back
+ *
+ * The default view is represented by a clean URL (no hash), so the landing
+ * page stays shareable without a fragment.
+ */
+
+const VIEW_SUFFIX = '-view';
+
+let knownViewIds = [];
+let defaultViewId = null;
+let routeChangeListener = null;
+let isListening = false;
+
+/**
+ * Converts a view ID into its URL hash.
+ * @param {string} viewId - e.g. 'portfolio-view'
+ * @returns {string} - e.g. '#portfolio'
+ */
+export function viewIdToHash(viewId) {
+  return `#${viewId.endsWith(VIEW_SUFFIX) ? viewId.slice(0, -VIEW_SUFFIX.length) : viewId}`;
+}
+
+/**
+ * Converts a URL hash back into a known view ID.
+ * @param {string} hash - e.g. '#portfolio' or '' for the default view
+ * @returns {string|null} - The matching view ID, or null if the hash doesn't name a view
+ */
+export function hashToViewId(hash) {
+  let name;
+  try {
+    name = decodeURIComponent((hash || '').replace(/^#/, '')).trim();
+  } catch (error) {
+    // Malformed escapes (e.g. '#%E0%A4%A') don't name a view
+    return null;
+  }
+  if (!name) return defaultViewId;
+
+  const viewId = name.endsWith(VIEW_SUFFIX) ? name : `${name}${VIEW_SUFFIX}`;
+  return knownViewIds.includes(viewId) ? viewId : null;
+}
+
+/**
+ * Returns the view requested by the current URL.
+ * @returns {string|null} - The view ID, or null if the hash doesn't name a known view
+ */
+export function getRequestedView() {
+  return hashToViewId(window.location.hash);
+}
+
+/**
+ * Builds the URL for a view, preserving the current path and query string.
+ * @param {string} viewId - The view to build a URL for
+ * @returns {string}
+ */
+function buildViewUrl(viewId) {
+  const base = `${window.location.pathname}${window.location.search}`;
+  return viewId === defaultViewId ? base : `${base}${viewIdToHash(viewId)}`;
+}
+
+/**
+ * Records the active view in the browser history.
+ * Does nothing if the URL already points at the given view.
+ * @param {string} viewId - The view that is now active
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current entry instead of pushing a new one
+ */
+export function syncRoute(viewId, { replace = false } = {}) {
+  if (!knownViewIds.includes(viewId)) return;
+
+  const state = { viewId };
+  const url = buildViewUrl(viewId);
+
+  try {
+    if (replace) {
+      window.history.replaceState(state, '', url);
+    } else if (getRequestedView() !== viewId) {
+      window.history.pushState(state, '', url);
+      console.log(`[viewRouter] Pushed history entry for ${viewId}`);
+    }
+  } catch (error) {
+    // Sandboxed iframes (e.g. the Webflow canvas) can reject history updates
+    console.warn('[viewRouter] Could not update history:', error);
+  }
+}
+
+/**
+ * Handles back/forward navigation and manual hash edits.
+ * @param {PopStateEvent} event
+ */
+function handlePopState(event) {
+  const viewId = (event.state && event.state.viewId) || getRequestedView();
+  if (!viewId) {
+    console.log(`[viewRouter] Ignoring hash that doesn't name a view: ${window.location.hash}`);
+    return;
+  }
+  console.log(`[viewRouter] popstate -> ${viewId}`);
+  if (routeChangeListener) routeChangeListener(viewId);
+}
+
+/**
+ * Initializes the router.
+ * @param {string[]} viewIds - All view IDs that can be routed to
+ * @param {Object} options
+ * @param {string} options.defaultView - The view represented by a URL without a hash
+ * @param {Function} options.onRouteChange - Called with the target view ID on back/forward navigation
+ */
+export function initViewRouter(viewIds, { defaultView, onRouteChange }) {
+  knownViewIds = [...viewIds];
+  defaultViewId = defaultView;
+  routeChangeListener = onRouteChange;
+
+  if (!isListening) {
+    window.addEventListener('popstate', handlePopState);
+    isListening = true;
+  }
+
+  console.log(`[viewRouter] Initialized with ${knownViewIds.length} views (default: ${defaultViewId})`);
+}
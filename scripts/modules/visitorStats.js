@@ -0,0 +1,303 @@
+/**
+ * Visitor Stats Module
+ * --------------------
+ * Lifetime stats for the visitor, kept across visits in localStorage.
+ *
+ * This module:
+ * - Totals cursor distance (metres) and clicks, as reported by cursorTracker.js
+ * - Counts sessions (a reload or new tab in the same browsing session is the same visit)
+ * - Totals time on site while the tab is visible
+ * - Formats distances with unit promotion (m -> km, ft -> mi) instead of capping
+ * - Binds lifetime readouts to `data-visitor-stat` elements
+ *
+ * Each tab only keeps its own unsaved additions; saving re-reads the stored totals and
+ * adds them, so several open tabs all count towards the same lifetime figures.
+ *
+ * Usage:
+ *   const { distanceMeters, sessions } = getVisitorStats();
+ *   describeVisitorStats(); // "You've travelled 1.2 km across 5 visits"
+ *   onVisitorStatsChange(stats => ...);
+ *
+ * Markup:
+ *   <span data-visitor-stat="distance" data-unit-system="imperial"></span>   distance | clicks | sessions | time
+ */
+
+import { ticker } from './ticker.js';
+import { EventEmitter } from './eventEmitter.js';
+
+const STORAGE_KEY = 'visitor-stats';
+const SESSION_KEY = 'visitor-stats-session'; // sessionStorage flag, so reloads don't count as visits
+const READOUT_SELECTOR = '[data-visitor-stat]';
+const SAVE_DELAY = 5000; // ms; changes are batched into one write
+const NOTIFY_INTERVAL = 250; // ms; listeners hear about changes at most this often
+
+const METERS_PER_KM = 1000;
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_FOOT = 0.3048;
+const FEET_PER_MILE_SHOWN = 528; // Switch from feet to miles at 0.1 mi
+
+const DEFAULT_STATS = {
+  distanceMeters: 0,
+  clicks: 0,
+  sessions: 0,
+  timeOnSiteMs: 0,
+  firstVisit: null, // ISO date strings
+  lastVisit: null
+};
+
+// Added to by each tab; firstVisit and lastVisit are merged separately
+const COUNTERS = ['distanceMeters', 'clicks', 'sessions', 'timeOnSiteMs'];
+
+let stats = { ...DEFAULT_STATS }; // Stored totals as last read
+let pending = emptyCounters(); // This tab's additions since its last save
+let visibleSince = null; // performance.now() when the tab last became visible
+let saveTimeout = null;
+let notifyHandle = null;
+let readouts = [];
+const events = new EventEmitter('visitorStats');
+let isInitialized = false;
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map(key => [key, 0]));
+}
+
+// Reads the stored totals, which other tabs may have added to
+function load() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    stats = { ...DEFAULT_STATS };
+    if (saved && typeof saved === 'object') {
+      Object.keys(DEFAULT_STATS).forEach(key => {
+        if (saved[key] !== undefined) stats[key] = saved[key];
+      });
+    }
+  } catch (error) {
+    console.warn('[visitorStats] Could not read saved stats:', error);
+  }
+}
+
+// Adds this tab's additions to the freshly read totals and writes them back
+function save() {
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  collectVisibleTime();
+
+  load();
+  COUNTERS.forEach(key => {
+    stats[key] += pending[key];
+  });
+  if (pending.firstVisit && (!stats.firstVisit || pending.firstVisit < stats.firstVisit)) {
+    stats.firstVisit = pending.firstVisit;
+  }
+  if (pending.lastVisit && (!stats.lastVisit || pending.lastVisit > stats.lastVisit)) {
+    stats.lastVisit = pending.lastVisit;
+  }
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+    pending = emptyCounters();
+  } catch (error) {
+    // Keep the additions as pending and try again next time
+    COUNTERS.forEach(key => {
+      stats[key] -= pending[key];
+    });
+    console.warn('[visitorStats] Could not save stats:', error);
+  }
+}
+
+// A real timeout, so batched changes are still saved while the tab is in the background
+function scheduleSave() {
+  if (!saveTimeout) saveTimeout = setTimeout(save, SAVE_DELAY);
+}
+
+// Adds visible time since the last collection to this tab's additions
+function collectVisibleTime() {
+  if (visibleSince === null) return;
+  const now = performance.now();
+  pending.timeOnSiteMs += now - visibleSince;
+  visibleSince = document.hidden ? null : now;
+}
+
+// Another tab saved: pick up its totals
+function handleStorage(event) {
+  if (event.key !== STORAGE_KEY) return;
+  load();
+  scheduleNotify();
+}
+
+function handleVisibilityChange() {
+  if (document.hidden) {
+    save();
+    visibleSince = null;
+  } else {
+    visibleSince = performance.now();
+  }
+}
+
+// Readouts refresh on their own ticker; listeners are told about changes a few times a second at most
+function scheduleNotify() {
+  if (!notifyHandle) notifyHandle = ticker.after(NOTIFY_INTERVAL, notify);
+}
+
+function notify() {
+  notifyHandle = null;
+  if (events.hasListeners('change')) events.emit('change', getVisitorStats());
+}
+
+/**
+ * Adds cursor travel to the lifetime distance.
+ * @param {number} meters
+ */
+export function recordDistance(meters) {
+  if (!(meters > 0)) return;
+  pending.distanceMeters += meters;
+  scheduleSave();
+  scheduleNotify();
+}
+
+/**
+ * Adds a click to the lifetime count.
+ */
+export function recordClick() {
+  pending.clicks++;
+  scheduleSave();
+  scheduleNotify();
+}
+
+/**
+ * Lifetime stats, including the current visit.
+ * @returns {{distanceMeters: number, clicks: number, sessions: number, timeOnSiteMs: number, firstVisit: string|null, lastVisit: string|null}}
+ */
+export function getVisitorStats() {
+  const current = { ...stats };
+  COUNTERS.forEach(key => {
+    current[key] += pending[key];
+  });
+  if (visibleSince !== null) current.timeOnSiteMs += performance.now() - visibleSince;
+  if (!current.firstVisit) current.firstVisit = pending.firstVisit || null;
+  if (pending.lastVisit) current.lastVisit = pending.lastVisit;
+  return current;
+}
+
+/**
+ * Subscribes to stat changes (distance, clicks).
+ * @param {Function} listener - Called with getVisitorStats()
+ * @returns {Function} - Unsubscribe function
+ */
+export function onVisitorStatsChange(listener) {
+  return events.on('change', listener);
+}
+
+/**
+ * Picks the unit that suits a distance: m up to 1 km then km, or ft up to 0.1 mi then mi.
+ * @param {number} meters
+ * @param {string} [system='metric'] - 'metric' or 'imperial'
+ * @returns {{value: number, unit: string}}
+ */
+export function promoteDistance(meters, system = 'metric') {
+  if (system === 'imperial') {
+    const feet = meters / METERS_PER_FOOT;
+    // Whole feet and metres are shown, so promote once they'd round up to the threshold
+    return feet < FEET_PER_MILE_SHOWN - 0.5 ?
+      { value: feet, unit: 'ft' } :
+      { value: meters / METERS_PER_MILE, unit: 'mi' };
+  }
+  return meters < METERS_PER_KM - 0.5 ?
+    { value: meters, unit: 'm' } :
+    { value: meters / METERS_PER_KM, unit: 'km' };
+}
+
+/**
+ * Formats a distance with a promoted unit, e.g. "850 m", "1.2 km", "0.3 mi".
+ * @param {number} meters
+ * @param {string} [system='metric'] - 'metric' or 'imperial'
+ * @returns {string}
+ */
+export function formatDistance(meters, system = 'metric') {
+  const { value, unit } = promoteDistance(meters, system);
+  const decimals = unit === 'm' || unit === 'ft' ? 0 : (value < 100 ? 1 : 0);
+  return `${value.toLocaleString('en-GB', { maximumFractionDigits: decimals, minimumFractionDigits: decimals })} ${unit}`;
+}
+
+// Format time on site, e.g. "42s", "7m 05s", "3h 12m"
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * A one-line summary for widgets, e.g. "You've travelled 1.2 km across 5 visits".
+ * @param {string} [system='metric'] - 'metric' or 'imperial'
+ * @returns {string}
+ */
+export function describeVisitorStats(system = 'metric') {
+  const { distanceMeters, sessions } = getVisitorStats();
+  const visits = sessions === 1 ? '1 visit' : `${sessions} visits`;
+  return `You've travelled ${formatDistance(distanceMeters, system)} across ${visits}`;
+}
+
+function renderReadouts() {
+  if (!readouts.length) return;
+  const current = getVisitorStats();
+  readouts.forEach(element => {
+    let text;
+    switch (element.dataset.visitorStat) {
+      case 'distance':
+        text = formatDistance(current.distanceMeters, element.dataset.unitSystem);
+        break;
+      case 'clicks':
+        text = current.clicks.toLocaleString('en-GB');
+        break;
+      case 'sessions':
+        text = current.sessions.toLocaleString('en-GB');
+        break;
+      case 'time':
+        text = formatDuration(current.timeOnSiteMs);
+        break;
+      default:
+        return;
+    }
+    if (element.textContent !== text) element.textContent = text;
+  });
+}
+
+/**
+ * Loads the stats, counts this visit and binds the readouts. Safe to call more than once.
+ */
+export function initVisitorStats() {
+  if (isInitialized) return;
+  isInitialized = true;
+
+  load();
+
+  let isNewSession = true;
+  try {
+    isNewSession = !window.sessionStorage.getItem(SESSION_KEY);
+    window.sessionStorage.setItem(SESSION_KEY, '1');
+  } catch (error) {
+    // No sessionStorage: count every page load as a visit
+  }
+  const now = new Date().toISOString();
+  if (isNewSession) pending.sessions++;
+  pending.firstVisit = now;
+  pending.lastVisit = now;
+
+  visibleSince = document.hidden ? null : performance.now();
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('pagehide', save);
+  window.addEventListener('storage', handleStorage);
+
+  readouts = Array.from(document.querySelectorAll(READOUT_SELECTOR));
+  // Time on site counts up, so readouts refresh once a second
+  if (readouts.length) ticker.add(renderReadouts, { fps: 1, name: 'visitorStats' });
+
+  save();
+  renderReadouts();
+  const current = getVisitorStats();
+  console.log(`[visitorStats] Initialized (visit ${current.sessions}, ${formatDistance(current.distanceMeters)} travelled)`);
+}
@@ -0,0 +1,221 @@
+/**
+ * Widget Choreography Module
+ * --------------------
+ * Decides the order and relative timing in which a view's widgets animate in or out.
+ * Used by the WidgetAnimationManager in buttonToggle.js.
+ *
+ * Choreographies are picked per view with data attributes:
+ * - data-choreography="reading"       Strategy for both directions (default: random)
+ * - data-choreography-in="ripple"     Strategy for the intro only
+ * - data-choreography-out="sweep"     Strategy for the outro only
+ * - data-choreography-seed="1234"     Fixed seed, so a sequence can be reproduced and reviewed
+ *
+ * Built-in strategies:
+ * - random:   Shuffled order, evenly staggered
+ * - reading:  Row by row, left to right
+ * - distance: Outwards from the element that triggered the transition (e.g. the clicked button)
+ * - ripple:   Outwards from the centre of the view, timed by distance
+ * - sweep:    Column by column, left to right; widgets in the same column start together
+ *
+ * Every run logs the seed it used, so an unseeded sequence that looks good can be
+ * pinned by copying the seed into data-choreography-seed.
+ */
+
+const DEFAULT_CHOREOGRAPHY = 'random';
+const ALIGNMENT_TOLERANCE_PX = 24; // Widgets whose edges are this close share a row/column
+
+/**
+ * Small, fast seeded PRNG (mulberry32).
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parses a seed attribute. Numeric strings are used as-is, anything else is hashed,
+ * so designers can use memorable seeds like "launch-review".
+ * @param {string} value - Attribute value
+ * @returns {number|null}
+ */
+function parseSeed(value) {
+  if (value === undefined || value === null || value.trim() === '') return null;
+  const numeric = Number(value);
+  if (Number.isInteger(numeric)) return numeric >>> 0;
+
+  let hash = 2166136261; // FNV-1a
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Returns the centre point of an element's bounding box.
+ * @param {Element} element
+ * @returns {{x: number, y: number}}
+ */
+function getCentre(element) {
+  const rect = element.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+/**
+ * Groups items into bands (rows or columns) by a coordinate, within a tolerance.
+ * @param {Array} items - Items to group
+ * @param {Function} getCoordinate - Returns the coordinate to group by
+ * @returns {Array<Array>} - Bands in ascending coordinate order
+ */
+function groupIntoBands(items, getCoordinate) {
+  const sorted = [...items].sort((a, b) => getCoordinate(a) - getCoordinate(b));
+  const bands = [];
+  let bandStart = null;
+
+  sorted.forEach(item => {
+    const coordinate = getCoordinate(item);
+    if (bandStart === null || coordinate - bandStart > ALIGNMENT_TOLERANCE_PX) {
+      bands.push([]);
+      bandStart = coordinate;
+    }
+    bands[bands.length - 1].push(item);
+  });
+
+  return bands;
+}
+
+/**
+ * Spreads an ordered list evenly across the timeline (matches the original stagger).
+ * @param {Element[]} widgets - Widgets in animation order
+ * @returns {Array<{widget: Element, t: number}>}
+ */
+function byRank(widgets) {
+  return widgets.map((widget, index) => ({ widget, t: index / widgets.length }));
+}
+
+/**
+ * Times widgets by distance from a point: nearest first, furthest last.
+ * @param {Element[]} widgets
+ * @param {{x: number, y: number}} point
+ * @returns {Array<{widget: Element, t: number}>}
+ */
+function byDistanceFrom(widgets, point) {
+  const distances = widgets.map(widget => {
+    const centre = getCentre(widget);
+    return Math.hypot(centre.x - point.x, centre.y - point.y);
+  });
+  const min = Math.min(...distances);
+  const range = Math.max(...distances) - min;
+  // Keep the same overall span as the rank-based stagger
+  const span = (widgets.length - 1) / widgets.length;
+
+  return widgets.map((widget, index) => ({
+    widget,
+    t: range > 0 ? ((distances[index] - min) / range) * span : 0
+  }));
+}
+
+// Registry of strategies: (widgets, context) => Array<{ widget, t }> with t in [0, 1)
+const choreographies = new Map();
+
+choreographies.set('random', (widgets, { random }) => {
+  // Fisher-Yates shuffle driven by the seeded generator
+  const shuffled = [...widgets];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return byRank(shuffled);
+});
+
+choreographies.set('reading', widgets => {
+  const rects = new Map(widgets.map(widget => [widget, widget.getBoundingClientRect()]));
+  const rows = groupIntoBands(widgets, widget => rects.get(widget).top);
+  const ordered = rows.flatMap(row => row.sort((a, b) => rects.get(a).left - rects.get(b).left));
+  return byRank(ordered);
+});
+
+choreographies.set('distance', (widgets, { view, origin }) => {
+  return byDistanceFrom(widgets, getCentre(origin || view));
+});
+
+choreographies.set('ripple', (widgets, { view }) => {
+  return byDistanceFrom(widgets, getCentre(view));
+});
+
+choreographies.set('sweep', widgets => {
+  const rects = new Map(widgets.map(widget => [widget, widget.getBoundingClientRect()]));
+  const columns = groupIntoBands(widgets, widget => rects.get(widget).left);
+  const span = (widgets.length - 1) / widgets.length;
+
+  return columns.flatMap((column, columnIndex) => {
+    const t = columns.length > 1 ? (columnIndex / (columns.length - 1)) * span : 0;
+    return column
+      .sort((a, b) => rects.get(a).top - rects.get(b).top)
+      .map(widget => ({ widget, t }));
+  });
+});
+
+/**
+ * Registers a custom choreography strategy.
+ * @param {string} name - Name used in data-choreography attributes
+ * @param {Function} strategy - (widgets, { view, type, origin, random }) => Array<{ widget, t }>,
+ *   where t is the widget's start time as a fraction of the stagger window (0 to <1)
+ */
+export function registerChoreography(name, strategy) {
+  choreographies.set(name, strategy);
+}
+
+/**
+ * Resolves the choreography name configured on a view for a direction.
+ * @param {Element} view - The view element
+ * @param {string} type - Either 'in' or 'out'
+ * @returns {string}
+ */
+function getChoreographyName(view, type) {
+  const directional = type === 'in' ? view.dataset.choreographyIn : view.dataset.choreographyOut;
+  const name = (directional || view.dataset.choreography || DEFAULT_CHOREOGRAPHY).trim();
+
+  if (!choreographies.has(name)) {
+    console.warn(`[widgetChoreography] Unknown choreography "${name}" on ${view.id}, using ${DEFAULT_CHOREOGRAPHY}`);
+    return DEFAULT_CHOREOGRAPHY;
+  }
+  return name;
+}
+
+/**
+ * Builds the animation timeline for a view's widgets.
+ * @param {Element[]} widgets - The widgets to animate
+ * @param {Element} view - The view containing the widgets
+ * @param {Object} options
+ * @param {string} options.type - Either 'in' or 'out'
+ * @param {Element|null} [options.origin] - Element that triggered the transition, if any
+ * @param {number} options.staggerWindow - Time (ms) over which start times are spread
+ * @returns {Array<{widget: Element, delay: number}>} - Sorted by delay
+ */
+export function choreographWidgets(widgets, view, { type, origin = null, staggerWindow }) {
+  const name = getChoreographyName(view, type);
+  const configuredSeed = parseSeed(view.dataset.choreographySeed);
+  const seed = configuredSeed !== null ? configuredSeed : Math.floor(Math.random() * 4294967296);
+
+  console.log(`[widgetChoreography] ${view.id} ${type}: "${name}" with seed ${seed}${configuredSeed !== null ? ' (fixed)' : ''}`);
+
+  const timeline = choreographies.get(name)(widgets, {
+    view,
+    type,
+    origin,
+    random: createRandom(seed)
+  });
+
+  return timeline
+    .map(({ widget, t }) => ({ widget, delay: Math.max(0, Math.min(t, 1)) * staggerWindow }))
+    .sort((a, b) => a.delay - b.delay);
+}